@@ -1,39 +1,99 @@
 import express from "express";
 import axios from "axios";
 import dotenv from "dotenv";
+import nodemailer from "nodemailer";
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { fileURLToPath } from "url";
 
 dotenv.config();
 
+// Comma-separated env list → trimmed, non-empty entries
+function envList(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Who may embed the dashboard / call the API from a browser.
+// e.g. HAWKE_FRAME_ANCESTORS="https://*.leadsquared.com"
+//      HAWKE_CORS_ORIGINS="https://run.leadsquared.com,https://ops.example.edu"
+const FRAME_ANCESTORS = envList("HAWKE_FRAME_ANCESTORS");
+const CORS_ORIGINS = envList("HAWKE_CORS_ORIGINS");
+
 const app = express();
-app.use(express.json());
-app.use(express.static('public'));
+// Keep the raw body too — webhook signatures are computed over the exact bytes
+app.use(express.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
 
-// Allow iframe embedding
+// Allow iframe embedding from the configured hosts only
 app.use((req, res, next) => {
   res.removeHeader('X-Frame-Options');
-  res.setHeader('Content-Security-Policy', "frame-ancestors *");
+  res.setHeader(
+    'Content-Security-Policy',
+    `frame-ancestors ${["'self'", ...FRAME_ANCESTORS].join(" ")}`
+  );
   next();
 });
 
-// CORS — Allow Custom Menu Web / external UIs to call this
+// CORS — Allow Custom Menu Web / external UIs on the allowlist to call this
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  const origin = req.get("Origin");
+  if (origin && (CORS_ORIGINS.includes("*") || CORS_ORIGINS.includes(origin))) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Vary", "Origin");
+  }
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
+  res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
 });
 
+// The dashboard shell holds no data — it authenticates its own API calls
+app.use(express.static('public'));
+
 const { LS_ACCESS_KEY, LS_SECRET_KEY, OPENAI_API_KEY, MAVIS_API_KEY } =
   process.env;
 
 // Strip trailing slash
 const LS_BASE_URL = (process.env.LS_BASE_URL || "").replace(/\/+$/, "");
+const OPENAI_BASE_URL = (
+  process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+).replace(/\/+$/, "");
 
-// Mavis config
-const MAVIS_BASE_URL =
-  "https://mavis-rest-us11.leadsquared.com/api/db20260218124424340/tab20260218124438825";
-const MAVIS_ORG_CODE = "78807";
+// AI analysis provider: "openai", "openai-compatible" (any /chat/completions
+// endpoint, e.g. a local Ollama or vLLM at HAWKE_LLM_BASE_URL) or "rules"
+// (offline, deterministic). Defaults to openai when a key is set.
+const LLM_PROVIDER = process.env.HAWKE_LLM_PROVIDER || (OPENAI_API_KEY ? "openai" : "rules");
+const LLM_BASE_URL = (process.env.HAWKE_LLM_BASE_URL || "").replace(/\/+$/, "");
+const LLM_API_KEY = process.env.HAWKE_LLM_API_KEY || "";
+const LLM_MODEL = process.env.HAWKE_LLM_MODEL || "gpt-4o-mini";
+// Rough prompt budget (≈4 chars per token) for the anomaly list; longer lists
+// are analysed in batches and the batch results merged
+const LLM_PROMPT_TOKENS = parseInt(process.env.HAWKE_LLM_PROMPT_TOKENS || "6000", 10);
+// Attempts per prompt — invalid JSON is sent back to the model to fix
+const LLM_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.HAWKE_LLM_MAX_ATTEMPTS || "2", 10));
+
+// Mavis config — defaults for the built-in Mavis SIS source
+const MAVIS_BASE_URL = (
+  process.env.MAVIS_BASE_URL ||
+  "https://mavis-rest-us11.leadsquared.com/api/db20260218124424340/tab20260218124438825"
+).replace(/\/+$/, "");
+const MAVIS_ORG_CODE = process.env.MAVIS_ORG_CODE || "78807";
+
+// SIS sources + field mapping + join key. Without a config file Hawke reads
+// the single Mavis table above and joins on prospect_id.
+// See config/sis.example.json for the format.
+const SIS_CONFIG_FILE = process.env.HAWKE_SIS_CONFIG || null;
+
+// Alert channels (webhook, Slack, Teams, email) and routing rules.
+// Alerting is off without a config file; see config/alerts.example.json.
+const ALERTS_CONFIG_FILE = process.env.HAWKE_ALERTS_CONFIG || null;
 
 // Basic Auth for Mavis (username = accessKey, password = secretKey)
 const MAVIS_BASIC_AUTH = Buffer.from(
@@ -46,658 +106,4493 @@ const MAVIS_BASIC_AUTH = Buffer.from(
 
 const LEAD_TYPE_STUDENT = "OT_2";
 
+// Paging — LeadSquared caps lead search at 200 per page. The page caps guard
+// against runaway loops; raise them via env if a stage outgrows them.
+const LEADS_PAGE_SIZE = Math.min(parseInt(process.env.LS_LEADS_PAGE_SIZE || "200", 10), 200);
+const LEADS_MAX_PAGES = parseInt(process.env.LS_LEADS_MAX_PAGES || "50", 10);
+const ACTIVITIES_PAGE_SIZE = parseInt(process.env.LS_ACTIVITIES_PAGE_SIZE || "100", 10);
+const ACTIVITIES_MAX_PAGES = parseInt(process.env.LS_ACTIVITIES_MAX_PAGES || "10", 10);
+
 const TARGET_STAGES = [
   "Engagement Initiated",
   "Application Pending",
   "Application Completed",
 ];
 
-const HIGH_INTENT_SOURCES = [
-  "B2B Referral",
-  "Website",
-  "Chatbot",
-  "Inbound Phone Call",
-  "Pay per Click Ads",
-];
-
-const COUNSELOR_KEYWORDS = [
-  "Inbound Phone Call Activity",
-  "Outbound Phone Call Activity",
-  "Invorto Call Qualification",
-  "Meeting",
-  "Flostack Appointment",
-];
+// Default scan scope; a scan request can override any of these. Env lists
+// are comma-separated, e.g. HAWKE_SCAN_STAGES="Application Completed,Enrolled"
+const DEFAULT_SCOPE = {
+  stages: envList("HAWKE_SCAN_STAGES").length ? envList("HAWKE_SCAN_STAGES") : TARGET_STAGES,
+  leadTypes: envList("HAWKE_SCAN_LEAD_TYPES").length
+    ? envList("HAWKE_SCAN_LEAD_TYPES")
+    : [LEAD_TYPE_STUDENT],
+  sources: envList("HAWKE_SCAN_SOURCES"),
+  prospectIds: [],
+};
 
-const ENGAGEMENT_KEYWORDS = [
-  "Email Opened",
-  "Email Link Clicked",
-  "Dynamic Form Submission",
-  "Inbound Phone Call Activity",
-  "Outbound Phone Call Activity",
-  "Logged into Portal",
-  "Logged out of Portal",
-  "Flostack Appointment",
-  "Invorto Call Qualification",
-  "Meeting",
-];
+// Anomaly rules live in a JSON file so ops can tune them without a deploy.
+// Override with HAWKE_RULES_FILE; defaults to the bundled rule set.
+const RULES_FILE =
+  process.env.HAWKE_RULES_FILE ||
+  fileURLToPath(new URL("./rules/default-rules.json", import.meta.url));
 
 const AI_DECISION_EVENT_CODE = 211;
 
+// Per-lead work (activity fetch, rules, write-back) runs in a bounded pool.
+// LeadSquared rate-limits per account, so keep this modest.
+const SCAN_CONCURRENCY = Math.max(1, parseInt(process.env.HAWKE_SCAN_CONCURRENCY || "5", 10));
+
+// Retries for LeadSquared/Mavis calls that fail with 429, 5xx or a network error
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.HAWKE_UPSTREAM_MAX_RETRIES || "3", 10);
+const UPSTREAM_RETRY_BASE_MS = parseInt(process.env.HAWKE_UPSTREAM_RETRY_BASE_MS || "500", 10);
+// Longest wait between retries; a Retry-After beyond it fails the call
+// rather than stalling the scan
+const UPSTREAM_RETRY_MAX_MS =
+  parseInt(process.env.HAWKE_UPSTREAM_RETRY_MAX_SECONDS || "30", 10) * 1000;
+
+// Recurring scans — standard 5-field cron ("0 6 * * 1-5"), server local time.
+// Leave unset to disable the built-in scheduler.
+const SCAN_CRON = (process.env.HAWKE_SCAN_CRON || "").trim();
+
+// Follow-up tasks in LeadSquared, assigned to the lead owner, for High and
+// Critical anomalies when they are first written to a lead (or change).
+const CREATE_TASKS = process.env.HAWKE_CREATE_TASKS === "true";
+const TASK_TYPE = process.env.HAWKE_TASK_TYPE || "To-do";
+const TASK_DUE_HOURS = { Critical: 24, High: 72 };
+
+// Statistical baselines — learned from the last BASELINE_WINDOW full scans.
+// A group needs BASELINE_MIN_SAMPLES leads before its outliers are flagged.
+const BASELINE_WINDOW = parseInt(process.env.HAWKE_BASELINE_WINDOW || "12", 10);
+const BASELINE_MIN_SAMPLES = parseInt(process.env.HAWKE_BASELINE_MIN_SAMPLES || "30", 10);
+const BASELINE_Z_THRESHOLD = parseFloat(process.env.HAWKE_BASELINE_Z || "2.5");
+const COHORT_SPIKE_PCT = parseFloat(process.env.HAWKE_COHORT_SPIKE_PCT || "40");
+const COHORT_LOOKBACK_DAYS = parseInt(process.env.HAWKE_COHORT_LOOKBACK_DAYS || "7", 10);
+
+// What-if simulator — resolution rates come from the last SIMULATION_HISTORY
+// full scans; a type needs SIMULATION_MIN_OBSERVATIONS flagged leads first.
+const SIMULATION_HISTORY = parseInt(process.env.HAWKE_SIMULATION_HISTORY || "10", 10);
+const SIMULATION_MIN_OBSERVATIONS = parseInt(process.env.HAWKE_SIMULATION_MIN_OBSERVATIONS || "5", 10);
+
+// Counselor feedback only moves a rule's confidence once it has flagged
+// this many leads
+const FEEDBACK_MIN_FLAGGED = parseInt(process.env.HAWKE_FEEDBACK_MIN_FLAGGED || "10", 10);
+
+// Inbound LeadSquared webhooks (POST /webhooks/leadsquared), signed with this
+// shared secret; the receiver is off until it is set. A lead is re-evaluated
+// once its events go quiet for WEBHOOK_DEBOUNCE_MS, or WEBHOOK_MAX_WAIT_MS
+// after the first one. The SIS map is re-fetched once older than the max age.
+const WEBHOOK_SECRET = process.env.HAWKE_WEBHOOK_SECRET || "";
+const WEBHOOK_DEBOUNCE_MS = parseInt(process.env.HAWKE_WEBHOOK_DEBOUNCE_MS || "5000", 10);
+const WEBHOOK_MAX_WAIT_MS = parseInt(process.env.HAWKE_WEBHOOK_MAX_WAIT_MS || "30000", 10);
+const WEBHOOK_SIS_MAX_AGE_MS =
+  parseInt(process.env.HAWKE_WEBHOOK_SIS_MAX_AGE_MINUTES || "15", 10) * 60 * 1000;
+
+// GET /health/ready — each upstream check gives up after HEALTH_TIMEOUT_MS,
+// and results are reused for HEALTH_CACHE_SECONDS so probes don't hammer
+// LeadSquared, the SIS or the LLM
+const HEALTH_TIMEOUT_MS = parseInt(process.env.HAWKE_HEALTH_TIMEOUT_MS || "5000", 10);
+const HEALTH_CACHE_MS = parseInt(process.env.HAWKE_HEALTH_CACHE_SECONDS || "30", 10) * 1000;
+
+// Scan history lives on local disk as JSON files
+const DATA_DIR =
+  process.env.HAWKE_DATA_DIR ||
+  fileURLToPath(new URL("./data", import.meta.url));
+
 /* ================================
-   HELPERS
+   AUTH — API keys with roles
+   HAWKE_API_KEYS="<key>:operator,<key>:counselor,<key>:viewer"
+   viewer    — read scan results (financial fields redacted)
+   counselor — read everything, plus feedback on anomalies
+   operator  — everything, incl. triggering scans with CRM write-back
+   Send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+   The job event stream also takes ?api_key=, since EventSource can't set
+   headers; nothing else accepts a key in the URL.
 ================================ */
 
-function daysBetween(dateString) {
-  if (!dateString) return 0;
-  const today = new Date();
-  const past = new Date(dateString);
-  return Math.floor((today - past) / (1000 * 60 * 60 * 24));
+const ROLE_LEVEL = { viewer: 1, counselor: 2, operator: 3 };
+
+const API_KEYS = envList("HAWKE_API_KEYS").map((entry) => {
+  const [key, role = "viewer"] = entry.split(":").map((v) => v.trim());
+  if (!ROLE_LEVEL[role]) throw new Error(`HAWKE_API_KEYS: unknown role "${role}"`);
+  return { hash: crypto.createHash("sha256").update(key).digest(), role };
+});
+
+// Explicit opt-out for local development; otherwise no keys = no access
+const AUTH_DISABLED = process.env.HAWKE_AUTH_DISABLED === "true";
+
+// The webhook receiver checks its own shared-secret signature instead;
+// orchestrators probe readiness without a key
+const PUBLIC_PATHS = new Set(["/", "/health/ready", "/webhooks/leadsquared"]);
+
+function findApiKey(presented) {
+  if (!presented) return null;
+  const hash = crypto.createHash("sha256").update(presented).digest();
+  return API_KEYS.find((k) => crypto.timingSafeEqual(k.hash, hash)) || null;
 }
 
-function flattenLead(lead) {
-  const props = {};
-  if (lead.LeadPropertyList) {
-    lead.LeadPropertyList.forEach((p) => {
-      props[p.Attribute] = p.Value;
+const EVENT_STREAM_PATH = /^\/jobs\/[^/]+\/events$/;
+
+function presentedKey(req) {
+  const bearer = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const streamKey = req.method === "GET" && EVENT_STREAM_PATH.test(req.path) ? req.query.api_key : null;
+  return bearer || req.get("X-API-Key") || streamKey;
+}
+
+function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  if (AUTH_DISABLED) {
+    req.role = "operator";
+    return next();
+  }
+  if (API_KEYS.length === 0) {
+    return res.status(503).json({
+      error: "API auth is not configured. Set HAWKE_API_KEYS (or HAWKE_AUTH_DISABLED=true for local dev).",
     });
   }
-  return { ...lead, ...props };
+  const key = findApiKey(presentedKey(req));
+  if (!key) return res.status(401).json({ error: "Missing or invalid API key" });
+  req.role = key.role;
+  if (key.role === "viewer") redactResponses(res);
+  next();
 }
 
-/* ================================
-   MAVIS — BULK FETCH ALL SIS ROWS
-================================ */
-
-async function fetchAllSISRecords() {
-  try {
-    const response = await axios.post(
-      `${MAVIS_BASE_URL}/rows/query?orgcode=${MAVIS_ORG_CODE}`,
-      {},
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": MAVIS_API_KEY,
-          Authorization: `Basic ${MAVIS_BASIC_AUTH}`,
-        },
-      }
-    );
+function requireRole(role) {
+  return (req, res, next) => {
+    if ((ROLE_LEVEL[req.role] || 0) >= ROLE_LEVEL[role]) return next();
+    res.status(403).json({ error: `Requires ${role} role`, role: req.role });
+  };
+}
 
-    const rows = response.data?.Data || [];
-    console.log(`📊 Mavis: fetched ${rows.length} SIS records`);
+// Field-level redaction of student financial data for the viewer role
+const FINANCIAL_FIELDS = new Set([
+  "tuitionBalance",
+  "scholarshipAmount",
+  "financialAidStatus",
+  "tuition_balance",
+  "scholarship_amount",
+  "financial_aid_status",
+  "at_risk_tuition",
+]);
+const REDACTED = "[redacted]";
 
-    // Build lookup map: prospect_id → SIS record
-    const sisMap = {};
-    for (const row of rows) {
-      if (row.prospect_id) {
-        sisMap[row.prospect_id] = row;
-      }
+function redactFinancial(value) {
+  if (Array.isArray(value)) return value.map(redactFinancial);
+  if (typeof value === "string") {
+    // Dollar amounts inside explanations and AI summaries
+    return value.replace(/\$\s?[\d,]+(\.\d+)?/g, `$${REDACTED}`);
+  }
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = FINANCIAL_FIELDS.has(k) ? REDACTED : redactFinancial(v);
     }
-
-    return sisMap;
-  } catch (err) {
-    console.error(
-      "❌ Mavis fetch failed:",
-      err.response?.data || err.message
-    );
-    return {};
+    return out;
   }
+  return value;
+}
+
+function redactResponses(res) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(redactFinancial(body));
 }
 
+app.use(authenticate);
+
 /* ================================
-   CRM — FETCH STUDENT LEADS BY STAGE
+   LOGGING — one JSON object per line
+   { ts, level, msg, correlationId?, ...fields } on stdout (warn and error
+   on stderr). Everything logged while a scan or webhook batch runs carries
+   its correlation id, so one run's lines can be pulled out of the stream.
+   HAWKE_LOG_LEVEL=debug|info|warn|error (default info).
 ================================ */
 
-async function fetchStudentsByStage(stage) {
-  const response = await axios.post(
-    `${LS_BASE_URL}/LeadManagement.svc/Leads.Get`,
-    {
-      Parameter: {
-        LookupName: "ProspectStage",
-        LookupValue: stage,
-        SqlOperator: "=",
-      },
-      Columns: {
-        Include_CSV: [
-          "ProspectID",
-          "FirstName",
-          "LastName",
-          "EmailAddress",
-          "ProspectStage",
-          "LeadType",
-          "Source",
-          "Phone",
-          "CreatedOn",
-          "ModifiedOn",
-          "Score",
-          "EngagementScore",
-          "mx_Stage_Entered_On",
-          "mx_Offer_Given_Date",
-        ].join(","),
-      },
-      Sorting: { ColumnName: "ModifiedOn", Direction: "1" },
-      Paging: { PageIndex: 1, PageSize: 200 },
-    },
-    {
-      params: { accessKey: LS_ACCESS_KEY, secretKey: LS_SECRET_KEY },
-      headers: { "Content-Type": "application/json" },
-    }
-  );
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.HAWKE_LOG_LEVEL] || LOG_LEVELS.info;
 
-  const rawLeads = Array.isArray(response.data)
-    ? response.data
-    : response.data?.Leads || [];
-  const allFlattened = rawLeads.map(flattenLead);
-  const students = allFlattened.filter(
-    (l) => l.LeadType === LEAD_TYPE_STUDENT
-  );
+const logContext = new AsyncLocalStorage();
 
-  console.log(
-    `Stage "${stage}": ${rawLeads.length} total, ${students.length} students`
-  );
-  return students;
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const entry = { ts: new Date().toISOString(), level, msg, ...logContext.getStore(), ...fields };
+  const line = JSON.stringify(entry);
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) console.error(line);
+  else console.log(line);
 }
 
-/* ================================
-   CRM — FETCH ACTIVITIES
-================================ */
+const logger = Object.fromEntries(
+  Object.keys(LOG_LEVELS).map((level) => [level, (msg, fields = {}) => writeLog(level, msg, fields)])
+);
 
-async function fetchActivities(leadId) {
-  try {
-    const response = await axios.post(
-      `${LS_BASE_URL}/ProspectActivity.svc/Retrieve`,
-      { Parameter: {}, Paging: { Offset: "0", RowCount: "50" } },
-      {
-        params: {
-          accessKey: LS_ACCESS_KEY,
-          secretKey: LS_SECRET_KEY,
-          leadId,
-        },
-        headers: { "Content-Type": "application/json" },
-      }
-    );
-    return response.data?.ProspectActivities || [];
-  } catch (err) {
-    console.error(
-      `Failed to fetch activities for ${leadId}:`,
-      err.response?.data || err.message
-    );
-    return [];
-  }
+// What to log for a failed upstream call: the response body when there is one
+function errorDetails(err) {
+  return err.response?.data || err.message;
 }
 
 /* ================================
-   CRM — UPDATE LEAD + LOG ACTIVITY
+   METRICS — Prometheus text exposition on GET /metrics
+   Counters, gauges and histograms keyed by label set; kept in memory and
+   reset on restart, as Prometheus expects.
 ================================ */
 
-async function updateLead(leadId, anomaly) {
-  try {
-    await axios.post(
-      `${LS_BASE_URL}/LeadManagement.svc/Lead.Update`,
-      [
-        { Attribute: "mx_AI_Anomaly_Status", Value: "Active" },
-        { Attribute: "mx_Latest_Anomaly_Type", Value: anomaly.type },
-        { Attribute: "mx_Latest_Anomaly_Severity", Value: anomaly.severity },
-        {
-          Attribute: "mx_Latest_Anomaly_Confidence",
-          Value: String(anomaly.confidence || 90),
-        },
-        {
-          Attribute: "mx_Latest_Anomaly_Explanation",
-          Value: anomaly.explanation,
-        },
-        {
-          Attribute: "mx_Last_Intelligence_Run",
-          Value: new Date().toISOString().replace("T", " ").slice(0, 19),
-        },
-      ],
-      {
-        params: {
-          accessKey: LS_ACCESS_KEY,
-          secretKey: LS_SECRET_KEY,
-          leadId,
-        },
-        headers: { "Content-Type": "application/json" },
-      }
-    );
-    console.log(`✅ Lead updated: ${leadId} → ${anomaly.type}`);
-  } catch (err) {
-    console.error(
-      `❌ Failed to update lead ${leadId}:`,
-      err.response?.data || err.message
-    );
+const metricsRegistry = new Map();
+
+function defineMetric(type, name, help, buckets) {
+  const metric = { type, name, help, buckets, series: new Map() };
+  metricsRegistry.set(name, metric);
+  return metric;
+}
+
+const counter = (name, help) => defineMetric("counter", name, help);
+const gauge = (name, help) => defineMetric("gauge", name, help);
+const histogram = (name, help, buckets) => defineMetric("histogram", name, help, buckets);
+
+function metricSeries(metric, labels) {
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { labels, value: 0, sum: 0, count: 0, buckets: (metric.buckets || []).map(() => 0) };
+    metric.series.set(key, series);
   }
+  return series;
 }
 
-async function logAIDecision(leadId, anomaly) {
-  try {
-    await axios.post(
-      `${LS_BASE_URL}/ProspectActivity.svc/Create`,
-      {
-        RelatedProspectId: leadId,
-        ActivityEvent: AI_DECISION_EVENT_CODE,
-        ActivityNote: `Agent Hawke: ${anomaly.type} (${anomaly.severity})`,
-        ActivityDateTime: new Date()
-          .toISOString()
-          .replace("T", " ")
-          .slice(0, 19),
-        Fields: [
-          { SchemaName: "mx_Custom_1", Value: anomaly.type },
-          { SchemaName: "mx_Custom_2", Value: anomaly.severity },
-          { SchemaName: "mx_Custom_3", Value: anomaly.explanation },
-          { SchemaName: "mx_Custom_4", Value: "Agent Hawke" },
-        ],
-      },
-      {
-        params: { accessKey: LS_ACCESS_KEY, secretKey: LS_SECRET_KEY },
-        headers: { "Content-Type": "application/json" },
+function incMetric(metric, labels = {}, by = 1) {
+  metricSeries(metric, labels).value += by;
+}
+
+function setMetric(metric, labels, value) {
+  metricSeries(metric, labels).value = value;
+}
+
+function observeMetric(metric, labels, value) {
+  const series = metricSeries(metric, labels);
+  series.sum += value;
+  series.count++;
+  metric.buckets.forEach((le, i) => {
+    if (value <= le) series.buckets[i]++;
+  });
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metricsRegistry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const { labels, value, sum, count, buckets } of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        continue;
       }
-    );
-    console.log(`✅ Activity logged: ${leadId} → ${anomaly.type}`);
-  } catch (err) {
-    console.error(
-      `❌ Failed to log activity for ${leadId}:`,
-      err.response?.data || err.message
-    );
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le })} ${buckets[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    }
   }
+  return `${lines.join("\n")}\n`;
 }
 
+const METRICS = {
+  scans: counter("hawke_scans_total", "Scans finished, by trigger and outcome"),
+  scanDuration: histogram("hawke_scan_duration_seconds", "Wall-clock scan duration", [
+    1, 5, 15, 30, 60, 120, 300, 600, 1800,
+  ]),
+  scanInProgress: gauge("hawke_scan_in_progress", "1 while a scan is running"),
+  leadsScanned: counter("hawke_leads_scanned_total", "Leads evaluated by scans"),
+  lastScanLeads: gauge("hawke_last_scan_leads_scanned", "Leads evaluated by the last full scan"),
+  lastScanTimestamp: gauge("hawke_last_scan_timestamp_seconds", "When the last full scan finished"),
+  lastScanAnomalies: gauge("hawke_last_scan_anomalies", "Anomalies in the last full scan, by type and severity"),
+  upstreamRequests: counter("hawke_upstream_requests_total", "Upstream calls, each retry counted"),
+  upstreamErrors: counter("hawke_upstream_errors_total", "Failed upstream calls, by HTTP status or network"),
+  upstreamDuration: histogram("hawke_upstream_request_duration_seconds", "Upstream call latency", [
+    0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+  ]),
+  upstreamRetries: counter("hawke_upstream_retries_total", "Upstream calls retried after a failure"),
+  webhookEvents: counter("hawke_webhook_events_total", "Accepted LeadSquared webhook events"),
+  webhookEvaluations: counter("hawke_webhook_evaluations_total", "Webhook lead evaluations, by outcome"),
+};
+
 /* ================================
-   MERGE CRM + SIS DATA
+   HELPERS
 ================================ */
 
-function mergeCRMandSIS(lead, sisRecord) {
-  return {
-    prospectId: lead.ProspectID,
-    name: `${lead.FirstName || ""} ${lead.LastName || ""}`.trim(),
-    email: lead.EmailAddress || null,
-    crmStage: (lead.ProspectStage || "").trim(),
-    crmSource: (lead.Source || "").trim(),
-    stageEnteredOn: lead.mx_Stage_Entered_On,
-    offerGivenDate: lead.mx_Offer_Given_Date,
-    daysInStage: daysBetween(lead.mx_Stage_Entered_On),
-    offerAge: daysBetween(lead.mx_Offer_Given_Date),
+function daysBetween(dateString) {
+  if (!dateString) return 0;
+  const today = new Date();
+  const past = new Date(dateString);
+  return Math.floor((today - past) / (1000 * 60 * 60 * 24));
+}
 
-    // SIS fields
-    hasSIS: !!sisRecord,
-    studentId: sisRecord?.student_id || null,
-    enrollmentStatus: sisRecord?.enrollment_status || null,
-    admitTerm: sisRecord?.admit_term || null,
-    currentTerm: sisRecord?.current_term || null,
-    academicStanding: sisRecord?.academic_standing || null,
-    creditsEarned: sisRecord?.credits_earned ?? null,
-    expectedGraduation: sisRecord?.expected_graduation_date || null,
-    tuitionBalance: parseFloat(sisRecord?.tuition_balance || 0),
-    financialAidStatus: sisRecord?.financial_aid_status || null,
-    scholarshipAmount: parseFloat(sisRecord?.scholarship_amount || 0),
-    sisLastUpdated: sisRecord?.last_updated_timestamp || null,
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Runs fn over items with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
   };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
-/* ================================
-   CRM ANOMALY RULES (existing 4)
-================================ */
+let upstreamRetries = 0;
 
-async function detectCRMAnomalies(merged) {
-  const { crmStage, crmSource, daysInStage, offerAge, offerGivenDate } =
-    merged;
+// Non-idempotent calls (activity creation) only retry on 429, where the
+// request was rejected outright — a 5xx may already have been applied.
+function isRetryable(err, idempotent) {
+  const status = err.response?.status;
+  if (status === 429) return true;
+  if (!idempotent) return false;
+  if (!status) return !!err.request; // network error / timeout
+  return status >= 500;
+}
 
-  // 1️⃣ OFFER STALLED
-  if (offerGivenDate && crmStage !== "Enrolled" && offerAge > 14) {
-    return {
-      type: "Offer Stalled",
-      severity: "High",
-      confidence: 90,
-      source: "CRM",
-      explanation: `Offer given ${offerAge} days ago but student not enrolled.`,
-    };
+// Times one upstream attempt into the per-endpoint metrics
+async function timedUpstreamCall(labels, fn) {
+  const started = process.hrtime.bigint();
+  incMetric(METRICS.upstreamRequests, labels);
+  try {
+    return await fn();
+  } catch (err) {
+    const status = err.response?.status ?? (err.request ? "network" : "error");
+    incMetric(METRICS.upstreamErrors, { ...labels, status });
+    throw err;
+  } finally {
+    observeMetric(METRICS.upstreamDuration, labels, Number(process.hrtime.bigint() - started) / 1e9);
   }
+}
 
-  // 2️⃣ APPLICATION COMPLETED – NO COUNSELOR FOLLOW UP
-  if (crmStage === "Application Completed" && daysInStage > 5) {
-    const activities = await fetchActivities(merged.prospectId);
-    const hasCounselor = activities.some((a) => {
-      const eventName = a.EventName || "";
-      return COUNSELOR_KEYWORDS.some((kw) => eventName.includes(kw));
-    });
-    if (!hasCounselor) {
-      return {
-        type: "Application Completed – No Counselor Follow-up",
-        severity: "High",
-        confidence: 88,
-        source: "CRM",
-        explanation: `No counselor activity ${daysInStage} days after application completion.`,
-      };
+// Upstream call with exponential backoff + jitter; honours Retry-After on 429
+// up to UPSTREAM_RETRY_MAX_MS.
+// `label` names the endpoint in logs and metrics; `service` groups endpoints.
+async function withRetry(label, fn, { idempotent = true, service = "leadsquared" } = {}) {
+  const labels = { service, endpoint: label };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await timedUpstreamCall(labels, fn);
+    } catch (err) {
+      if (attempt >= UPSTREAM_MAX_RETRIES || !isRetryable(err, idempotent)) throw err;
+      const retryAfter = parseFloat(err.response?.headers?.["retry-after"]) * 1000;
+      if (retryAfter > UPSTREAM_RETRY_MAX_MS) {
+        logger.warn("Upstream Retry-After exceeds the retry cap, giving up", {
+          ...labels,
+          retryAfterMs: retryAfter,
+          maxDelayMs: UPSTREAM_RETRY_MAX_MS,
+        });
+        throw err;
+      }
+      const delay = Number.isFinite(retryAfter)
+        ? retryAfter
+        : Math.min(
+            UPSTREAM_RETRY_MAX_MS,
+            UPSTREAM_RETRY_BASE_MS * 2 ** attempt + Math.random() * UPSTREAM_RETRY_BASE_MS
+          );
+      upstreamRetries++;
+      incMetric(METRICS.upstreamRetries, labels);
+      logger.warn("Upstream call failed, retrying", {
+        ...labels,
+        status: err.response?.status || err.code || err.message,
+        attempt: attempt + 1,
+        maxRetries: UPSTREAM_MAX_RETRIES,
+        delayMs: Math.round(delay),
+      });
+      await sleep(delay);
     }
   }
+}
 
-  // 3️⃣ APPLICATION PENDING – STALLED
-  if (crmStage === "Application Pending" && daysInStage > 7) {
-    const activities = await fetchActivities(merged.prospectId);
-    const hasEngagement = activities.some((a) => {
-      const eventName = a.EventName || "";
-      return ENGAGEMENT_KEYWORDS.some((kw) => eventName.includes(kw));
+function flattenLead(lead) {
+  const props = {};
+  if (lead.LeadPropertyList) {
+    lead.LeadPropertyList.forEach((p) => {
+      props[p.Attribute] = p.Value;
     });
-    if (!hasEngagement) {
-      return {
-        type: "Application Pending – Stalled",
-        severity: "Medium",
-        confidence: 85,
-        source: "CRM",
-        explanation: `No engagement activity ${daysInStage} days in Application Pending.`,
-      };
-    }
-  }
-
-  // 4️⃣ HIGH INTENT – NO MOVEMENT
-  if (
-    crmStage === "Engagement Initiated" &&
-    HIGH_INTENT_SOURCES.includes(crmSource) &&
-    daysInStage > 7
-  ) {
-    return {
-      type: "High Intent – No Movement",
-      severity: "Medium",
-      confidence: 82,
-      source: "CRM",
-      explanation: `High intent source but no stage movement for ${daysInStage} days.`,
-    };
   }
-
-  return null;
+  return { ...lead, ...props };
 }
 
 /* ================================
-   SIS ANOMALY RULES (new 4)
+   SIS ADAPTERS — Mavis, CSV file, generic REST
+   Every adapter exposes fetchRows() returning raw rows; rows are then
+   mapped onto the canonical SIS fields that mergeCRMandSIS reads.
+   probe() is the cheap reachability check behind /health/ready.
 ================================ */
 
-function detectSISAnomalies(merged) {
-  if (!merged.hasSIS) return null;
+// Canonical SIS fields (named after the original Mavis columns)
+const SIS_FIELDS = [
+  "prospect_id",
+  "email",
+  "student_id",
+  "enrollment_status",
+  "admit_term",
+  "current_term",
+  "academic_standing",
+  "credits_earned",
+  "expected_graduation_date",
+  "tuition_balance",
+  "financial_aid_status",
+  "scholarship_amount",
+  "last_updated_timestamp",
+];
 
-  const activeCRMStages = [
-    "Engagement Initiated",
-    "Application Pending",
-    "Application Completed",
-    "Enrolled",
-  ];
+const SIS_JOIN_KEYS = ["prospectId", "email"];
 
-  // 5️⃣ ENROLLMENT STATUS MISMATCH — Withdrawn
-  if (
-    merged.enrollmentStatus === "Withdrawn" &&
-    activeCRMStages.includes(merged.crmStage)
-  ) {
-    return {
-      type: "Enrollment Status Mismatch",
-      severity: "Critical",
-      confidence: 95,
-      source: "SIS",
-      explanation: `SIS shows Withdrawn but CRM stage is "${merged.crmStage}". Immediate CRM update needed.`,
-    };
+// "${ENV_VAR}" placeholders in adapter config so secrets stay in env
+function interpolateEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || "");
   }
-
-  // 6️⃣ ENROLLMENT STATUS MISMATCH — Admitted but CRM not advanced
-  if (
-    merged.studentId &&
-    (merged.enrollmentStatus === "Active" ||
-      merged.enrollmentStatus === "Admitted") &&
-    merged.crmStage === "Application Completed"
-  ) {
-    return {
-      type: "Enrollment Status Mismatch – Admitted",
-      severity: "High",
-      confidence: 92,
-      source: "SIS",
-      explanation: `SIS has student ID ${merged.studentId} and status "${merged.enrollmentStatus}" but CRM is still at Application Completed.`,
-    };
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v)]));
   }
+  return value;
+}
 
-  // 7️⃣ HIGH TUITION BALANCE
-  if (
-    (merged.enrollmentStatus === "Enrolled" ||
-      merged.enrollmentStatus === "Active") &&
-    merged.tuitionBalance > 3000
-  ) {
-    const aidContext =
-      merged.financialAidStatus === "Denied"
-        ? "Critical"
-        : merged.tuitionBalance > 5000
-          ? "High"
-          : "Medium";
-    return {
-      type: "High Tuition Balance",
-      severity: aidContext,
-      confidence: 88,
-      source: "SIS",
-      explanation: `$${merged.tuitionBalance.toFixed(2)} balance. Aid status: ${merged.financialAidStatus}. Scholarship: $${merged.scholarshipAmount.toFixed(2)}.`,
-    };
-  }
+// Reads "a.b.c" out of a nested response body
+function getPath(obj, dotted) {
+  if (!dotted) return obj;
+  return dotted.split(".").reduce((acc, key) => acc?.[key], obj);
+}
 
-  // 8️⃣ ACADEMIC PROBATION
-  if (
-    merged.academicStanding === "Probation" ||
-    merged.academicStanding === "Suspension"
-  ) {
-    return {
-      type: `Academic ${merged.academicStanding}`,
-      severity: merged.academicStanding === "Suspension" ? "Critical" : "High",
-      confidence: 85,
-      source: "SIS",
-      explanation: `Student on ${merged.academicStanding} with ${merged.creditsEarned} credits earned.`,
-    };
+// RFC 4180-style CSV: quoted fields, "" escapes, newlines inside quotes
+function parseCSV(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
   }
 
-  // 9️⃣ ZERO PROGRESS
-  if (
-    merged.enrollmentStatus === "Enrolled" &&
-    merged.creditsEarned === 0 &&
-    merged.currentTerm
-  ) {
-    return {
-      type: "Zero Progress – Active Student",
-      severity: "High",
-      confidence: 87,
-      source: "SIS",
-      explanation: `Enrolled for ${merged.currentTerm} but 0 credits earned. May have stopped attending.`,
-    };
+  const [header = [], ...body] = rows.filter((r) => r.some((v) => v !== ""));
+  const columns = header.map((h) => h.replace(/^\uFEFF/, "").trim());
+  return body.map((r) => Object.fromEntries(columns.map((col, i) => [col, r[i] ?? ""])));
+}
+
+// The status line proves the upstream is reachable and takes our
+// credentials; the body is dropped unread
+async function probeHTTP(labels, request) {
+  try {
+    const response = await timedUpstreamCall(labels, () =>
+      axios.request({ ...request, responseType: "stream" })
+    );
+    response.data.destroy();
+  } catch (err) {
+    err.response?.data?.destroy?.();
+    throw err;
   }
+}
 
-  return null;
+function createMavisAdapter(source) {
+  const baseUrl = (source.baseUrl || MAVIS_BASE_URL).replace(/\/+$/, "");
+  const orgCode = source.orgCode || MAVIS_ORG_CODE;
+  const query = () => ({
+    url: `${baseUrl}/rows/query?orgcode=${orgCode}`,
+    method: "POST",
+    data: {},
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": source.apiKey || MAVIS_API_KEY,
+      Authorization: `Basic ${MAVIS_BASIC_AUTH}`,
+    },
+  });
+  return {
+    describe: () => `Mavis ${baseUrl}`,
+    assertConfigured() {
+      if (!(source.apiKey || MAVIS_API_KEY)) throw new Error("MAVIS_API_KEY is not set");
+    },
+    probe: () => probeHTTP({ service: "mavis", endpoint: "Mavis rows/query" }, query()),
+    async fetchRows() {
+      const response = await withRetry("Mavis rows/query", () => axios.request(query()), {
+        service: "mavis",
+      });
+      return response.data?.Data || [];
+    },
+  };
 }
 
-/* ================================
-   OPENAI — ROOT CAUSE ANALYSIS
-================================ */
+// Re-reads the file every scan so the nightly export is always current
+function createCSVAdapter(source) {
+  if (!source.path) throw new Error(`SIS source "${source.name}": csv needs "path"`);
+  return {
+    describe: () => `CSV ${source.path}`,
+    probe: () => fsp.access(source.path, fs.constants.R_OK),
+    async fetchRows() {
+      const text = await fsp.readFile(source.path, "utf8");
+      return parseCSV(text, source.delimiter || ",");
+    },
+  };
+}
 
-async function analyzeWithOpenAI(anomalies, summary) {
-  if (!OPENAI_API_KEY || anomalies.length === 0) return null;
+function createRESTAdapter(source) {
+  if (!source.url) throw new Error(`SIS source "${source.name}": rest needs "url"`);
+  const request = {
+    url: source.url,
+    method: source.method || "GET",
+    headers: source.headers || {},
+    params: source.params,
+    data: source.body,
+  };
+  return {
+    describe: () => `REST ${source.url}`,
+    probe: () => probeHTTP({ service: "sis", endpoint: `SIS ${source.name}` }, request),
+    async fetchRows() {
+      const response = await withRetry(`SIS ${source.name}`, () => axios.request(request), {
+        service: "sis",
+      });
+      const rows = getPath(response.data, source.rowsPath);
+      if (!Array.isArray(rows)) {
+        throw new Error(`rowsPath "${source.rowsPath || ""}" did not point at an array`);
+      }
+      return rows;
+    },
+  };
+}
 
-  const prompt = `You are Agent Hawke, an AI anomaly detection system for a university admissions CRM.
+const SIS_ADAPTERS = {
+  mavis: createMavisAdapter,
+  csv: createCSVAdapter,
+  rest: createRESTAdapter,
+};
 
-Here is today's scan summary:
-- Total students scanned: ${summary.totalScanned}
-- Total anomalies detected: ${anomalies.length}
-- Critical: ${anomalies.filter((a) => a.severity === "Critical").length}
-- High: ${anomalies.filter((a) => a.severity === "High").length}
-- Medium: ${anomalies.filter((a) => a.severity === "Medium").length}
+function loadSISConfig(filePath) {
+  const config = filePath
+    ? interpolateEnv(JSON.parse(fs.readFileSync(filePath, "utf8")))
+    : { joinKey: "prospectId", sources: [{ name: "mavis", type: "mavis" }] };
 
-Anomalies detected:
-${anomalies
-  .map(
-    (a, i) =>
-      `${i + 1}. [${a.severity}] ${a.type} — ${a.name} (${a.crmStage}): ${a.explanation}`
-  )
-  .join("\n")}
+  const joinKey = config.joinKey || "prospectId";
+  if (!SIS_JOIN_KEYS.includes(joinKey)) {
+    throw new Error(`SIS config: joinKey must be one of ${SIS_JOIN_KEYS.join(", ")}`);
+  }
+  if (!Array.isArray(config.sources) || config.sources.length === 0) {
+    throw new Error("SIS config: at least one source is required");
+  }
 
-Respond ONLY with valid JSON (no markdown, no backticks). Use this exact structure:
-{
-  "rootCauses": [
-    {
-      "cause": "Short description",
-      "confidence": 78,
-      "category": "Primary driver | Contributing factor | Minor factor",
-      "affectedCount": 3
+  const sources = config.sources.map((source, i) => {
+    const name = source.name || `${source.type}-${i + 1}`;
+    const factory = SIS_ADAPTERS[source.type];
+    if (!factory) {
+      throw new Error(`SIS source "${name}": unknown type "${source.type}"`);
     }
-  ],
-  "recommendations": [
+    const fieldMap = source.fieldMap || {};
+    for (const field of Object.keys(fieldMap)) {
+      if (!SIS_FIELDS.includes(field)) {
+        throw new Error(`SIS source "${name}": unknown field "${field}" in fieldMap`);
+      }
+    }
+    return { name, type: source.type, fieldMap, adapter: factory({ ...source, name }) };
+  });
+
+  if (filePath) logger.info("SIS sources loaded", { sources: sources.length, file: filePath, joinKey });
+  return { joinKey, sources };
+}
+
+const sisConfig = loadSISConfig(SIS_CONFIG_FILE);
+
+const SIS_MONEY_FIELDS = ["tuition_balance", "scholarship_amount"];
+
+// fieldMap is { canonicalField: sourceColumn }; unmapped fields fall back to
+// a column of the same name. Empty strings become null, "$6,000.00"-style
+// money becomes "6000.00" and credits become numbers.
+function normalizeSISRow(row, fieldMap, sourceName) {
+  const out = { sis_source: sourceName };
+  for (const field of SIS_FIELDS) {
+    let value = row[fieldMap[field] || field];
+    if (typeof value === "string") value = value.trim();
+    if (value === "" || value === undefined) value = null;
+    if (typeof value === "string" && SIS_MONEY_FIELDS.includes(field)) {
+      value = value.replace(/[$,\s]/g, "");
+    }
+    out[field] = value;
+  }
+  if (out.credits_earned !== null && !Number.isNaN(Number(out.credits_earned))) {
+    out.credits_earned = Number(out.credits_earned);
+  }
+  return out;
+}
+
+function sisJoinValue(value) {
+  return value ? String(value).trim().toLowerCase() : null;
+}
+
+// The key a CRM lead is looked up by, per the configured join key
+function leadJoinValue(lead) {
+  return sisJoinValue(sisConfig.joinKey === "email" ? lead.EmailAddress : lead.ProspectID);
+}
+
+function lookupSISRecord(sisMap, lead) {
+  return sisMap[leadJoinValue(lead)] || null;
+}
+
+/* ================================
+   SIS — BULK FETCH ALL SOURCES
+================================ */
+
+// Returns { joinValue → canonical SIS record }. A failing source is logged and
+// skipped; when two sources share a key the earlier source wins. Pass an
+// audit (see createSISAudit) to collect what was dropped along the way.
+async function fetchAllSISRecords(audit = createSISAudit()) {
+  const sisMap = {};
+  const keyField = sisConfig.joinKey === "email" ? "email" : "prospect_id";
+
+  for (const source of sisConfig.sources) {
+    try {
+      const rows = await source.adapter.fetchRows();
+      logger.info("SIS records fetched", { source: source.name, rows: rows.length });
+      audit.rows += rows.length;
+
+      for (const raw of rows) {
+        const row = normalizeSISRow(raw, source.fieldMap, source.name);
+        const key = sisJoinValue(row[keyField]);
+        if (!key) {
+          audit.rowsWithoutKey++;
+        } else if (sisMap[key]) {
+          const dup = (audit.duplicates[key] ||= { key, rows: 1, sources: [sisMap[key].sis_source] });
+          dup.rows++;
+          dup.sources.push(source.name);
+        } else {
+          sisMap[key] = row;
+        }
+      }
+    } catch (err) {
+      audit.failedSources.push(source.name);
+      logger.error("SIS source failed", {
+        source: source.name,
+        adapter: source.adapter.describe(),
+        error: errorDetails(err),
+      });
+    }
+  }
+
+  return sisMap;
+}
+
+function createSISAudit() {
+  return { rows: 0, rowsWithoutKey: 0, duplicates: {}, failedSources: [] };
+}
+
+// The last complete SIS fetch, for webhook evaluations between scans. A fetch
+// with a failed source is used by its own scan but never cached.
+const sisCache = { map: null, fetchedAt: 0 };
+
+function cacheSISMap(sisMap, audit) {
+  if (audit.failedSources.length > 0) return;
+  sisCache.map = sisMap;
+  sisCache.fetchedAt = Date.now();
+}
+
+async function getCachedSISMap(maxAgeMs) {
+  if (sisCache.map && Date.now() - sisCache.fetchedAt <= maxAgeMs) return sisCache.map;
+  const audit = createSISAudit();
+  const sisMap = await fetchAllSISRecords(audit);
+  cacheSISMap(sisMap, audit);
+  return sisMap;
+}
+
+/* ================================
+   DATA QUALITY — CRM ↔ SIS RECONCILIATION
+   True join counts, orphans on both sides, duplicate keys, SIS staleness
+   and missing / unparseable values in the fields mergeCRMandSIS reads.
+================================ */
+
+const DATA_QUALITY_LIST_LIMIT = parseInt(process.env.HAWKE_DATA_QUALITY_LIST_LIMIT || "50", 10);
+
+const FIELD_VALIDATORS = {
+  text: () => true,
+  number: (v) => !Number.isNaN(Number(v)),
+  date: (v) => !Number.isNaN(Date.parse(v)),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v).trim()),
+};
+
+const SIS_FIELD_CHECKS = {
+  student_id: "text",
+  enrollment_status: "text",
+  academic_standing: "text",
+  credits_earned: "number",
+  tuition_balance: "number",
+  financial_aid_status: "text",
+  scholarship_amount: "number",
+  last_updated_timestamp: "date",
+};
+
+const CRM_FIELD_CHECKS = {
+  EmailAddress: "email",
+  ProspectStage: "text",
+  Source: "text",
+  mx_Stage_Entered_On: "date",
+  mx_Offer_Given_Date: "date",
+  EngagementScore: "number",
+};
+
+const STALENESS_BUCKETS = [
+  { label: "under_1_day", maxDays: 1 },
+  { label: "1_to_7_days", maxDays: 7 },
+  { label: "7_to_30_days", maxDays: 30 },
+  { label: "over_30_days", maxDays: Infinity },
+];
+
+// Missing and invalid counts per field. Examples carry the offending value
+// except for financial fields, which only name the record.
+function auditFields(records, checks, idOf) {
+  const fields = {};
+  for (const [field, kind] of Object.entries(checks)) {
+    const stat = { missing: 0, invalid: 0, examples: [] };
+    for (const record of records) {
+      const value = record[field];
+      if (value === null || value === undefined || String(value).trim() === "") {
+        stat.missing++;
+      } else if (!FIELD_VALIDATORS[kind](value)) {
+        stat.invalid++;
+        if (stat.examples.length < 5) {
+          stat.examples.push(FINANCIAL_FIELDS.has(field) ? { id: idOf(record) } : { id: idOf(record), value });
+        }
+      }
+    }
+    fields[field] = stat;
+  }
+  return fields;
+}
+
+function stalenessBuckets(records, now = Date.now()) {
+  const buckets = Object.fromEntries([...STALENESS_BUCKETS.map((b) => [b.label, 0]), ["missing", 0], ["invalid", 0]]);
+  for (const record of records) {
+    if (!record.last_updated_timestamp) {
+      buckets.missing++;
+      continue;
+    }
+    const updated = Date.parse(record.last_updated_timestamp);
+    if (Number.isNaN(updated)) {
+      buckets.invalid++;
+      continue;
+    }
+    const ageDays = (now - updated) / (24 * 60 * 60 * 1000);
+    buckets[STALENESS_BUCKETS.find((b) => ageDays < b.maxDays).label]++;
+  }
+  return buckets;
+}
+
+const capped = (items) => ({ count: items.length, items: items.slice(0, DATA_QUALITY_LIST_LIMIT) });
+
+// SIS rows can only be called orphans when every lead was fetched, so
+// scoped scans leave sis_without_crm out.
+function buildDataQualityReport({ leads, sisMap, sisAudit, fullScan = true }) {
+  const seenLeads = new Map();
+  const uniqueLeads = [];
+  const matchedKeys = new Set();
+  const withoutSIS = [];
+  for (const lead of leads) {
+    seenLeads.set(lead.ProspectID, (seenLeads.get(lead.ProspectID) || 0) + 1);
+    if (seenLeads.get(lead.ProspectID) > 1) continue;
+    uniqueLeads.push(lead);
+
+    const key = leadJoinValue(lead);
+    if (key && sisMap[key]) {
+      matchedKeys.add(key);
+    } else {
+      withoutSIS.push({
+        leadId: lead.ProspectID,
+        name: `${lead.FirstName || ""} ${lead.LastName || ""}`.trim(),
+        email: lead.EmailAddress || null,
+        crmStage: lead.ProspectStage || null,
+      });
+    }
+  }
+
+  const sisRecords = Object.entries(sisMap);
+  const withoutCRM = sisRecords
+    .filter(([key]) => !matchedKeys.has(key))
+    .map(([key, r]) => ({
+      key,
+      studentId: r.student_id,
+      enrollmentStatus: r.enrollment_status,
+      sisSource: r.sis_source,
+    }));
+
+  return {
+    generated_at: new Date().toISOString(),
+    join_key: sisConfig.joinKey,
+    crm_leads: uniqueLeads.length,
+    sis_rows: sisAudit.rows,
+    sis_records: sisRecords.length,
+    matched: matchedKeys.size,
+    match_rate_pct: uniqueLeads.length ? round1((matchedKeys.size / uniqueLeads.length) * 100) : 0,
+    crm_without_sis: capped(withoutSIS),
+    sis_without_crm: fullScan ? capped(withoutCRM) : null,
+    duplicates: {
+      sis: capped(Object.values(sisAudit.duplicates)),
+      crm: capped(
+        [...seenLeads].filter(([, count]) => count > 1).map(([leadId, count]) => ({ leadId, count }))
+      ),
+    },
+    sis_rows_without_key: sisAudit.rowsWithoutKey,
+    failed_sources: sisAudit.failedSources,
+    staleness: stalenessBuckets(sisRecords.map(([, r]) => r)),
+    fields: {
+      sis: auditFields(sisRecords.map(([key, r]) => ({ ...r, key })), SIS_FIELD_CHECKS, (r) => r.key),
+      crm: auditFields(uniqueLeads, CRM_FIELD_CHECKS, (l) => l.ProspectID),
+    },
+  };
+}
+
+/* ================================
+   CRM — FETCH LEADS IN SCOPE
+   Uses the lead search API so stage, lead type and source are all
+   filtered by LeadSquared rather than fetched and discarded here.
+================================ */
+
+const LEAD_COLUMNS = [
+  "ProspectID",
+  "FirstName",
+  "LastName",
+  "EmailAddress",
+  "ProspectStage",
+  "LeadType",
+  "Source",
+  "Phone",
+  "CreatedOn",
+  "ModifiedOn",
+  "Score",
+  "EngagementScore",
+  "mx_Stage_Entered_On",
+  "mx_Offer_Given_Date",
+  "OwnerId",
+  "OwnerIdName",
+  "OwnerIdEmailAddress",
+].join(",");
+
+// One condition group per field: values inside a group are OR'd, groups are AND'd
+function buildLeadSearch(filters) {
+  const conditions = Object.entries(filters)
+    .filter(([, values]) => values.length > 0)
+    .map(([field, values]) => ({
+      Type: "Leads",
+      ConOp: "And",
+      RowCondition: values.map((value) => ({
+        SubConOp: "Or",
+        LSO: field,
+        LSO_Type: "PAEntity",
+        Operator: "eq",
+        RSO: value,
+      })),
+    }));
+  return JSON.stringify({ GrpConOp: "And", Conditions: conditions, QueryTimeZone: "UTC" });
+}
+
+async function fetchLeadsPage(filters, pageIndex) {
+  const response = await withRetry("Leads.BySearchParameter", () =>
+    axios.post(
+      `${LS_BASE_URL}/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter`,
+      {
+        SearchParameters: { RetrieveBehaviour: "0" },
+        AdvancedSearch: buildLeadSearch(filters),
+        Columns: { Include_CSV: LEAD_COLUMNS },
+        Sorting: { ColumnName: "ModifiedOn", Direction: "1" },
+        Paging: { PageIndex: pageIndex, PageSize: LEADS_PAGE_SIZE },
+      },
+      {
+        params: { accessKey: LS_ACCESS_KEY, secretKey: LS_SECRET_KEY },
+        headers: { "Content-Type": "application/json" },
+      }
+    )
+  );
+
+  return Array.isArray(response.data)
+    ? response.data
+    : response.data?.Leads || [];
+}
+
+// Pages through one stage until a short page comes back or the page cap is hit
+async function fetchLeadsByStage(stage, scope) {
+  const filters = {
+    ProspectStage: [stage],
+    LeadType: scope.leadTypes,
+    Source: scope.sources,
+  };
+  const rawLeads = [];
+  let pages = 0;
+  let truncated = false;
+
+  while (true) {
+    const page = await fetchLeadsPage(filters, pages + 1);
+    pages++;
+    rawLeads.push(...page);
+    if (page.length < LEADS_PAGE_SIZE) break;
+    if (pages >= LEADS_MAX_PAGES) {
+      truncated = true;
+      logger.warn("Lead search stopped at page cap — more leads may exist", { stage, maxPages: LEADS_MAX_PAGES });
+      break;
+    }
+  }
+
+  const leads = rawLeads.map(flattenLead);
+  logger.info("Stage leads fetched", { stage, leads: leads.length, pages });
+  return { leads, pages, records: rawLeads.length, truncated };
+}
+
+// Explicit prospect ids bypass the stage/type/source filters
+async function fetchLeadById(leadId) {
+  const response = await withRetry("Leads.GetById", () =>
+    axios.get(`${LS_BASE_URL}/LeadManagement.svc/Leads.GetById`, {
+      params: { accessKey: LS_ACCESS_KEY, secretKey: LS_SECRET_KEY, id: leadId },
+    })
+  );
+  const [lead] = Array.isArray(response.data) ? response.data : [];
+  return lead ? flattenLead(lead) : null;
+}
+
+/* ================================
+   SCAN SCOPE
+================================ */
+
+function toStringList(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+// Merges a request's scope ({ stages, leadTypes, sources, prospectIds } from
+// the body or comma-separated query params) over DEFAULT_SCOPE
+function resolveScope(input = {}) {
+  const scope = { ...DEFAULT_SCOPE };
+  for (const key of Object.keys(DEFAULT_SCOPE)) {
+    const list = toStringList(input[key]);
+    if (list) scope[key] = list;
+  }
+  if (scope.stages.length === 0 && scope.prospectIds.length === 0) {
+    throw Object.assign(new Error("Scope must include at least one stage or prospect id"), {
+      code: "INVALID_SCOPE",
+    });
+  }
+  return scope;
+}
+
+function isDefaultScope(scope) {
+  return JSON.stringify(scope) === JSON.stringify(DEFAULT_SCOPE);
+}
+
+// Whether a fetched lead matches a scope's stage / lead type / source filters
+function leadInScope(lead, scope) {
+  return (
+    scope.stages.includes((lead.ProspectStage || "").trim()) &&
+    scope.leadTypes.includes(lead.LeadType) &&
+    (scope.sources.length === 0 || scope.sources.includes(lead.Source))
+  );
+}
+
+// Whether a flagged lead is still covered by the scope its flag was written
+// under (flags saved before scopes were recorded count as DEFAULT_SCOPE).
+// A lead requested by prospect id stays covered whatever its stage.
+function leadInFlagScope(lead, entry) {
+  const scope = entry?.scope || DEFAULT_SCOPE;
+  return scope.prospectIds.includes(lead.ProspectID) || leadInScope(lead, scope);
+}
+
+/* ================================
+   CRM — FETCH ACTIVITIES
+================================ */
+
+// Pages through the lead's full activity history (up to the page cap) so
+// older counselor calls still count towards follow-up rules. `truncated`
+// means the history may be incomplete: the page cap was hit or a page failed.
+async function fetchActivities(leadId) {
+  const activities = [];
+  try {
+    for (let page = 0; page < ACTIVITIES_MAX_PAGES; page++) {
+      const response = await withRetry("ProspectActivity.Retrieve", () =>
+        axios.post(
+          `${LS_BASE_URL}/ProspectActivity.svc/Retrieve`,
+          {
+            Parameter: {},
+            Paging: {
+              Offset: String(page * ACTIVITIES_PAGE_SIZE),
+              RowCount: String(ACTIVITIES_PAGE_SIZE),
+            },
+          },
+          {
+            params: {
+              accessKey: LS_ACCESS_KEY,
+              secretKey: LS_SECRET_KEY,
+              leadId,
+            },
+            headers: { "Content-Type": "application/json" },
+          }
+        )
+      );
+      const batch = response.data?.ProspectActivities || [];
+      activities.push(...batch);
+
+      const total = response.data?.RecordCount;
+      if (batch.length < ACTIVITIES_PAGE_SIZE) return { activities, truncated: false };
+      if (typeof total === "number" && activities.length >= total) return { activities, truncated: false };
+    }
+    logger.warn("Activity fetch stopped at page cap — older activities may exist", {
+      leadId,
+      maxPages: ACTIVITIES_MAX_PAGES,
+    });
+    return { activities, truncated: true };
+  } catch (err) {
+    logger.error("Failed to fetch activities", { leadId, error: errorDetails(err) });
+    return { activities, truncated: true };
+  }
+}
+
+/* ================================
+   CRM — UPDATE LEAD + LOG ACTIVITY
+================================ */
+
+function formatLSDateTime(date = new Date()) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+// Attribute list sent to Lead.Update for a flagged lead
+function buildLeadUpdatePayload(anomaly) {
+  return [
+    { Attribute: "mx_AI_Anomaly_Status", Value: "Active" },
+    { Attribute: "mx_Latest_Anomaly_Type", Value: anomaly.type },
+    { Attribute: "mx_Latest_Anomaly_Severity", Value: anomaly.severity },
     {
-      "action": "What to do",
-      "impact": "Expected outcome",
-      "priority": "Immediate | This week | This month",
-      "effort": "Low | Medium | High"
+      Attribute: "mx_Latest_Anomaly_Confidence",
+      Value: String(anomaly.confidence || 90),
+    },
+    {
+      Attribute: "mx_Latest_Anomaly_Explanation",
+      Value: anomaly.explanation,
+    },
+    {
+      Attribute: "mx_Last_Intelligence_Run",
+      Value: formatLSDateTime(),
+    },
+  ];
+}
+
+// Body sent to ProspectActivity.Create for the AI decision activity
+function buildAIDecisionPayload(leadId, anomaly) {
+  return {
+    RelatedProspectId: leadId,
+    ActivityEvent: AI_DECISION_EVENT_CODE,
+    ActivityNote: `Agent Hawke: ${anomaly.type} (${anomaly.severity})`,
+    ActivityDateTime: formatLSDateTime(),
+    Fields: [
+      { SchemaName: "mx_Custom_1", Value: anomaly.type },
+      { SchemaName: "mx_Custom_2", Value: anomaly.severity },
+      { SchemaName: "mx_Custom_3", Value: anomaly.explanation },
+      { SchemaName: "mx_Custom_4", Value: "Agent Hawke" },
+    ],
+  };
+}
+
+// Lead.Update for a lead whose anomaly has cleared. The latest anomaly
+// fields are left as-is so the CRM keeps a record of what was resolved.
+function buildLeadResolvePayload() {
+  return [
+    { Attribute: "mx_AI_Anomaly_Status", Value: "Resolved" },
+    {
+      Attribute: "mx_Last_Intelligence_Run",
+      Value: formatLSDateTime(),
+    },
+  ];
+}
+
+// Same activity event as AI decisions, marked as a resolution
+function buildAIResolutionPayload(leadId, previous) {
+  return {
+    RelatedProspectId: leadId,
+    ActivityEvent: AI_DECISION_EVENT_CODE,
+    ActivityNote: `Agent Hawke: ${previous.type} resolved`,
+    ActivityDateTime: formatLSDateTime(),
+    Fields: [
+      { SchemaName: "mx_Custom_1", Value: previous.type },
+      { SchemaName: "mx_Custom_2", Value: "Resolved" },
+      {
+        SchemaName: "mx_Custom_3",
+        Value: `No longer detected. Previously flagged ${previous.severity} on ${previous.writtenAt}.`,
+      },
+      { SchemaName: "mx_Custom_4", Value: "Agent Hawke" },
+    ],
+  };
+}
+
+// Both writers return true on success so callers only record state the CRM accepted
+async function postLeadUpdate(leadId, attributes) {
+  await withRetry("Lead.Update", () =>
+    axios.post(
+      `${LS_BASE_URL}/LeadManagement.svc/Lead.Update`,
+      attributes,
+      {
+        params: {
+          accessKey: LS_ACCESS_KEY,
+          secretKey: LS_SECRET_KEY,
+          leadId,
+        },
+        headers: { "Content-Type": "application/json" },
+      }
+    )
+  );
+}
+
+async function postActivity(payload) {
+  await withRetry("ProspectActivity.Create", () =>
+    axios.post(`${LS_BASE_URL}/ProspectActivity.svc/Create`, payload, {
+      params: { accessKey: LS_ACCESS_KEY, secretKey: LS_SECRET_KEY },
+      headers: { "Content-Type": "application/json" },
+    }),
+    { idempotent: false }
+  );
+}
+
+async function updateLead(leadId, anomaly) {
+  try {
+    await postLeadUpdate(leadId, buildLeadUpdatePayload(anomaly));
+    logger.info("Lead updated", { leadId, anomalyType: anomaly.type });
+    return true;
+  } catch (err) {
+    logger.error("Failed to update lead", { leadId, error: errorDetails(err) });
+    return false;
+  }
+}
+
+async function resolveLead(leadId, previous) {
+  try {
+    await postLeadUpdate(leadId, buildLeadResolvePayload());
+    logger.info("Lead resolved", { leadId, previousType: previous.type });
+    return true;
+  } catch (err) {
+    logger.error("Failed to resolve lead", { leadId, error: errorDetails(err) });
+    return false;
+  }
+}
+
+async function logAIDecision(leadId, anomaly) {
+  try {
+    await postActivity(buildAIDecisionPayload(leadId, anomaly));
+    logger.info("Activity logged", { leadId, anomalyType: anomaly.type });
+    return true;
+  } catch (err) {
+    logger.error("Failed to log activity", { leadId, error: errorDetails(err) });
+    return false;
+  }
+}
+
+async function logAIResolution(leadId, previous) {
+  try {
+    await postActivity(buildAIResolutionPayload(leadId, previous));
+    logger.info("Resolution logged", { leadId, previousType: previous.type });
+    return true;
+  } catch (err) {
+    logger.error("Failed to log resolution", { leadId, error: errorDetails(err) });
+    return false;
+  }
+}
+
+// Task.Create body — a to-do on the lead, owned by the lead's counselor
+function buildTaskPayload(leadId, ownerId, anomaly) {
+  const dueHours = TASK_DUE_HOURS[anomaly.severity] || 72;
+  return {
+    Name: `Hawke: ${anomaly.type}`,
+    Description: anomaly.explanation,
+    RelatedEntity: 1,
+    RelatedEntityId: leadId,
+    OwnerId: ownerId,
+    TaskType: { Name: TASK_TYPE },
+    DueDate: formatLSDateTime(new Date(Date.now() + dueHours * 60 * 60 * 1000)),
+  };
+}
+
+// Returns { taskId } on success, null if LeadSquared rejected the task
+async function createOwnerTask(leadId, ownerId, anomaly) {
+  try {
+    const response = await withRetry("Task.Create", () =>
+      axios.post(`${LS_BASE_URL}/v2/Task.svc/Create`, buildTaskPayload(leadId, ownerId, anomaly), {
+        params: { accessKey: LS_ACCESS_KEY, secretKey: LS_SECRET_KEY },
+        headers: { "Content-Type": "application/json" },
+      }),
+      { idempotent: false }
+    );
+    logger.info("Task created", { leadId, ownerId });
+    return { taskId: response.data?.Message?.Id || null };
+  } catch (err) {
+    logger.error("Failed to create task", { leadId, error: errorDetails(err) });
+    return null;
+  }
+}
+
+/* ================================
+   MERGE CRM + SIS DATA
+================================ */
+
+function mergeCRMandSIS(lead, sisRecord) {
+  return {
+    prospectId: lead.ProspectID,
+    name: `${lead.FirstName || ""} ${lead.LastName || ""}`.trim(),
+    email: lead.EmailAddress || null,
+    crmStage: (lead.ProspectStage || "").trim(),
+    crmSource: (lead.Source || "").trim(),
+    ownerId: lead.OwnerId || null,
+    ownerName: lead.OwnerIdName || "Unassigned",
+    ownerEmail: lead.OwnerIdEmailAddress || null,
+    stageEnteredOn: lead.mx_Stage_Entered_On,
+    offerGivenDate: lead.mx_Offer_Given_Date,
+    daysInStage: daysBetween(lead.mx_Stage_Entered_On),
+    offerAge: daysBetween(lead.mx_Offer_Given_Date),
+    engagementScore:
+      lead.EngagementScore == null || lead.EngagementScore === ""
+        ? null
+        : Number(lead.EngagementScore),
+
+    // SIS fields
+    hasSIS: !!sisRecord,
+    studentId: sisRecord?.student_id || null,
+    enrollmentStatus: sisRecord?.enrollment_status || null,
+    admitTerm: sisRecord?.admit_term || null,
+    currentTerm: sisRecord?.current_term || null,
+    academicStanding: sisRecord?.academic_standing || null,
+    creditsEarned: sisRecord?.credits_earned ?? null,
+    expectedGraduation: sisRecord?.expected_graduation_date || null,
+    tuitionBalance: parseFloat(sisRecord?.tuition_balance || 0),
+    financialAidStatus: sisRecord?.financial_aid_status || null,
+    scholarshipAmount: parseFloat(sisRecord?.scholarship_amount || 0),
+    sisLastUpdated: sisRecord?.last_updated_timestamp || null,
+  };
+}
+
+/* ================================
+   RULE ENGINE — load + validate rule file
+================================ */
+
+const RULE_SOURCES = ["CRM", "SIS"];
+const SEVERITIES = ["Critical", "High", "Medium"];
+const FIELD_OPS = ["eq", "neq", "in", "notIn", "gt", "gte", "lt", "lte", "present", "absent"];
+
+function validateCondition(cond, where) {
+  if (!cond || typeof cond !== "object") {
+    throw new Error(`${where}: condition must be an object`);
+  }
+  if (cond.all || cond.any) {
+    const list = cond.all || cond.any;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(`${where}: "all"/"any" must be a non-empty array`);
+    }
+    list.forEach((c, i) => validateCondition(c, `${where}[${i}]`));
+    return;
+  }
+  if (cond.not) return validateCondition(cond.not, `${where}.not`);
+  if (cond.activities) {
+    if (!["none", "some"].includes(cond.activities)) {
+      throw new Error(`${where}: "activities" must be "none" or "some"`);
+    }
+    if (!cond.eventNameIncludes) {
+      throw new Error(`${where}: activity condition needs "eventNameIncludes"`);
+    }
+    return;
+  }
+  if (!cond.field) throw new Error(`${where}: missing "field"`);
+  if (!FIELD_OPS.includes(cond.op)) {
+    throw new Error(`${where}: unknown op "${cond.op}"`);
+  }
+}
+
+// Optional fix a rule can propose for human review:
+// { attribute, from: <merged field>, to: "<value>" | { field, map } }
+function validateProposal(proposal, where) {
+  if (typeof proposal.attribute !== "string" || typeof proposal.from !== "string") {
+    throw new Error(`${where}: "attribute" and "from" are required`);
+  }
+  const { to } = proposal;
+  if (typeof to !== "string" && !(to?.field && to.map && typeof to.map === "object")) {
+    throw new Error(`${where}: "to" must be a value or { field, map }`);
+  }
+}
+
+function loadRuleConfig(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const lists = config.lists || {};
+  const rules = config.rules || [];
+  const seen = new Set();
+
+  rules.forEach((rule, i) => {
+    const where = `rule ${rule.id || `#${i}`}`;
+    if (!rule.id) throw new Error(`${where}: missing "id"`);
+    if (seen.has(rule.id)) throw new Error(`${where}: duplicate id`);
+    seen.add(rule.id);
+    if (!RULE_SOURCES.includes(rule.source)) {
+      throw new Error(`${where}: source must be one of ${RULE_SOURCES.join(", ")}`);
+    }
+    if (!rule.type || !rule.explanation) {
+      throw new Error(`${where}: "type" and "explanation" are required`);
+    }
+    if (typeof rule.severity === "string") {
+      if (!SEVERITIES.includes(rule.severity)) {
+        throw new Error(`${where}: unknown severity "${rule.severity}"`);
+      }
+    } else if (!rule.severity?.default) {
+      throw new Error(`${where}: severity needs a value or { cases, default }`);
+    }
+    validateCondition(rule.when, `${where}.when`);
+    if (rule.proposal) validateProposal(rule.proposal, `${where}.proposal`);
+  });
+
+  logger.info("Rules loaded", { rules: rules.length, file: filePath });
+  return { version: config.version || 1, lists, rules };
+}
+
+const ruleConfig = loadRuleConfig(RULES_FILE);
+
+/* ================================
+   RULE ENGINE — evaluation
+================================ */
+
+// Values may be literals or { "list": "<name>" } references into the rule file
+function resolveValue(value) {
+  if (value && typeof value === "object" && !Array.isArray(value) && value.list) {
+    const list = ruleConfig.lists[value.list];
+    if (!list) throw new Error(`Unknown rule list "${value.list}"`);
+    return list;
+  }
+  return value;
+}
+
+function compareField(actual, op, expected) {
+  switch (op) {
+    case "eq": return actual === expected;
+    case "neq": return actual !== expected;
+    case "in": return expected.includes(actual);
+    case "notIn": return !expected.includes(actual);
+    case "gt": return actual > expected;
+    case "gte": return actual >= expected;
+    case "lt": return actual < expected;
+    case "lte": return actual <= expected;
+    case "present": return !!actual;
+    case "absent": return !actual;
+    default: return false;
+  }
+}
+
+// ctx.getActivities() is lazy so activities are only fetched when a rule needs them
+async function evaluateCondition(cond, merged, ctx) {
+  if (cond.all) {
+    for (const c of cond.all) {
+      if (!(await evaluateCondition(c, merged, ctx))) return false;
+    }
+    return true;
+  }
+  if (cond.any) {
+    for (const c of cond.any) {
+      if (await evaluateCondition(c, merged, ctx)) return true;
+    }
+    return false;
+  }
+  if (cond.not) return !(await evaluateCondition(cond.not, merged, ctx));
+  if (cond.activities) {
+    const keywords = resolveValue(cond.eventNameIncludes);
+    const { activities, truncated } = await ctx.getActivities();
+    const matched = activities.some((a) => {
+      const eventName = a.EventName || "";
+      return keywords.some((kw) => eventName.includes(kw));
+    });
+    // No match in a partial history doesn't prove there is none
+    if (cond.activities === "none" && !matched && truncated) ctx.absenceUnproven = true;
+    return cond.activities === "some" ? matched : !matched;
+  }
+  return compareField(merged[cond.field], cond.op, resolveValue(cond.value));
+}
+
+const TEMPLATE_FILTERS = {
+  money: (v) => Number(v || 0).toFixed(2),
+};
+
+function renderTemplate(template, merged) {
+  return template.replace(/\{\{\s*(\w+)(?:\|(\w+))?\s*\}\}/g, (_, field, filter) => {
+    const value = merged[field];
+    return filter && TEMPLATE_FILTERS[filter]
+      ? TEMPLATE_FILTERS[filter](value)
+      : String(value);
+  });
+}
+
+async function resolveSeverity(severity, merged, ctx) {
+  if (typeof severity === "string") return severity;
+  for (const c of severity.cases || []) {
+    if (await evaluateCondition(c.when, merged, ctx)) return c.value;
+  }
+  return severity.default;
+}
+
+async function buildAnomaly(rule, merged, ctx) {
+  const anomaly = {
+    ruleId: rule.id,
+    type: renderTemplate(rule.type, merged),
+    severity: await resolveSeverity(rule.severity, merged, ctx),
+    confidence: rule.confidence,
+    source: rule.source,
+    explanation: renderTemplate(rule.explanation, merged),
+  };
+  const proposedFix = rule.proposal && resolveProposal(rule.proposal, merged);
+  if (proposedFix) anomaly.proposedFix = proposedFix;
+  return anomaly;
+}
+
+// null when the map has no value for this lead or nothing would change
+function resolveProposal(proposal, merged) {
+  const to = typeof proposal.to === "string" ? proposal.to : proposal.to.map[merged[proposal.to.field]];
+  const from = merged[proposal.from] ?? null;
+  if (!to || to === from) return null;
+  return { attribute: proposal.attribute, from, to };
+}
+
+// Runs every rule for one source in file order and returns all that fire.
+// A rule that fired on the absence of activities is skipped when the lead's
+// activity history was truncated.
+async function evaluateRules(source, merged, ctx) {
+  const matches = [];
+  for (const rule of ruleConfig.rules) {
+    if (rule.source !== source) continue;
+    ctx.absenceUnproven = false;
+    if (!(await evaluateCondition(rule.when, merged, ctx))) continue;
+    if (ctx.absenceUnproven) {
+      logger.info("Rule skipped — activity history truncated", { leadId: merged.prospectId, ruleId: rule.id });
+      continue;
+    }
+    matches.push(await buildAnomaly(rule, merged, ctx));
+  }
+  return matches;
+}
+
+// Per-scan memo of activity fetches so no lead's history is pulled twice
+function createActivityCache() {
+  const byLead = new Map();
+  const stats = { fetches: 0, hits: 0 };
+  return {
+    stats,
+    get(leadId) {
+      if (byLead.has(leadId)) {
+        stats.hits++;
+      } else {
+        stats.fetches++;
+        byLead.set(leadId, fetchActivities(leadId));
+      }
+      return byLead.get(leadId);
+    },
+  };
+}
+
+// activitiesTruncated is set once a fetched history turns out to be partial
+function createRuleContext(merged, activityCache = createActivityCache()) {
+  return {
+    activitiesTruncated: false,
+    absenceUnproven: false,
+    async getActivities() {
+      const history = await activityCache.get(merged.prospectId);
+      if (history.truncated) this.activitiesTruncated = true;
+      return history;
+    },
+  };
+}
+
+/* ================================
+   CRM + SIS ANOMALY DETECTION
+================================ */
+
+async function detectCRMAnomalies(merged, ctx = createRuleContext(merged)) {
+  return evaluateRules("CRM", merged, ctx);
+}
+
+async function detectSISAnomalies(merged, ctx = createRuleContext(merged)) {
+  return evaluateRules("SIS", merged, ctx);
+}
+
+/* ================================
+   PRIMARY ANOMALY + RISK SCORE
+================================ */
+
+const SEVERITY_RANK = { Critical: 3, High: 2, Medium: 1 };
+const SEVERITY_WEIGHT = { Critical: 50, High: 30, Medium: 15 };
+
+// Worst anomaly wins: highest severity, then highest confidence.
+// On a full tie, SIS beats CRM since it reflects the system of record.
+function pickPrimaryAnomaly(anomalies) {
+  let primary = null;
+  for (const a of anomalies) {
+    if (!primary) {
+      primary = a;
+      continue;
+    }
+    const bySeverity = (SEVERITY_RANK[a.severity] || 0) - (SEVERITY_RANK[primary.severity] || 0);
+    const byConfidence = (a.confidence || 0) - (primary.confidence || 0);
+    if (
+      bySeverity > 0 ||
+      (bySeverity === 0 && byConfidence > 0) ||
+      (bySeverity === 0 && byConfidence === 0 && a.source === "SIS" && primary.source !== "SIS")
+    ) {
+      primary = a;
+    }
+  }
+  return primary;
+}
+
+// 0–100 combined score: each anomaly adds its severity weight scaled by confidence
+function computeRiskScore(anomalies) {
+  const score = anomalies.reduce(
+    (sum, a) => sum + (SEVERITY_WEIGHT[a.severity] || 0) * ((a.confidence || 0) / 100),
+    0
+  );
+  return Math.min(100, Math.round(score));
+}
+
+/* ================================
+   ANOMALY LIFECYCLE — CRM WRITE-BACK
+   crmState remembers what was last written per lead so an unchanged
+   open anomaly is not re-written every scan, and a lead that stops
+   triggering gets mx_AI_Anomaly_Status = "Resolved".
+================================ */
+
+function isSameOpenAnomaly(previous, anomaly) {
+  return (
+    previous?.status === "Active" &&
+    previous.type === anomaly.type &&
+    previous.severity === anomaly.severity
+  );
+}
+
+// Returns "updated" | "unchanged" | "resolved" | "none" | "failed".
+// In dry runs the payloads go to `preview` and crmState is left untouched.
+// `scope` is the scan scope the flag is written under.
+async function syncLeadWriteBack({ leadId, name, primary, crmState, dryRun, preview, scope = DEFAULT_SCOPE }) {
+  const previous = crmState[leadId];
+
+  if (!primary) {
+    if (previous?.status !== "Active") return "none";
+    if (dryRun) {
+      preview.push({
+        action: "resolve",
+        leadId,
+        name,
+        anomalyType: previous.type,
+        leadUpdate: buildLeadResolvePayload(),
+        activity: buildAIResolutionPayload(leadId, previous),
+      });
+      return "resolved";
+    }
+    if (!(await resolveLead(leadId, previous))) return "failed";
+    await logAIResolution(leadId, previous);
+    crmState[leadId] = { ...previous, status: "Resolved", resolvedAt: new Date().toISOString() };
+    return "resolved";
+  }
+
+  if (isSameOpenAnomaly(previous, primary)) {
+    // The latest scan to confirm a flag owns it
+    if (!dryRun) crmState[leadId] = { ...previous, scope };
+    return "unchanged";
+  }
+
+  if (dryRun) {
+    preview.push({
+      action: "update",
+      leadId,
+      name,
+      anomalyType: primary.type,
+      leadUpdate: buildLeadUpdatePayload(primary),
+      activity: buildAIDecisionPayload(leadId, primary),
+    });
+    return "updated";
+  }
+  if (!(await updateLead(leadId, primary))) return "failed";
+  await logAIDecision(leadId, primary);
+  crmState[leadId] = {
+    status: "Active",
+    name,
+    type: primary.type,
+    severity: primary.severity,
+    ruleId: primary.ruleId,
+    scope,
+    writtenAt: new Date().toISOString(),
+  };
+  return "updated";
+}
+
+// Runs after syncLeadWriteBack: a lead whose High/Critical anomaly was just
+// written gets a follow-up task for its owner. Returns "created" | "failed"
+// | "no_owner", or null when no task is due.
+async function syncOwnerTask({ leadId, name, ownerId, primary, action, crmState, dryRun, preview }) {
+  if (!CREATE_TASKS || action !== "updated" || !TASK_DUE_HOURS[primary.severity]) return null;
+  if (!ownerId) return "no_owner";
+
+  if (dryRun) {
+    preview.push({
+      action: "task",
+      leadId,
+      name,
+      anomalyType: primary.type,
+      task: buildTaskPayload(leadId, ownerId, primary),
+    });
+    return "created";
+  }
+  const task = await createOwnerTask(leadId, ownerId, primary);
+  if (!task) return "failed";
+  crmState[leadId] = { ...crmState[leadId], taskId: task.taskId, taskOwnerId: ownerId };
+  return "created";
+}
+
+/* ================================
+   AI ANALYSIS — providers
+   Chat providers expose complete(messages) → text. The "rules" provider
+   never calls out; analyzeAnomalies() uses summarizeWithRules() instead.
+================================ */
+
+function createChatProvider({ name, baseUrl, apiKey, model, jsonMode }) {
+  return {
+    name,
+    model,
+    async complete(messages) {
+      const response = await withRetry(
+        `${name} chat`,
+        () =>
+          axios.post(
+            `${baseUrl}/chat/completions`,
+            {
+              model,
+              messages,
+              temperature: 0.3,
+              max_tokens: 1500,
+              ...(jsonMode && { response_format: { type: "json_object" } }),
+            },
+            {
+              headers: {
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+                "Content-Type": "application/json",
+              },
+              timeout: 120000,
+            }
+          ),
+        { service: "llm" }
+      );
+      return response.data.choices?.[0]?.message?.content || "";
+    },
+    // Readiness: the endpoint answers and accepts the key
+    async check() {
+      await withRetry(
+        `${name} models`,
+        () =>
+          axios.get(`${baseUrl}/models`, {
+            headers: { ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+            timeout: HEALTH_TIMEOUT_MS,
+          }),
+        { service: "llm" }
+      );
+    },
+  };
+}
+
+const LLM_PROVIDERS = {
+  openai: () => {
+    if (!OPENAI_API_KEY) throw new Error('HAWKE_LLM_PROVIDER "openai" needs OPENAI_API_KEY');
+    return createChatProvider({
+      name: "openai",
+      baseUrl: OPENAI_BASE_URL,
+      apiKey: OPENAI_API_KEY,
+      model: LLM_MODEL,
+      jsonMode: true,
+    });
+  },
+  "openai-compatible": () => {
+    if (!LLM_BASE_URL) {
+      throw new Error('HAWKE_LLM_PROVIDER "openai-compatible" needs HAWKE_LLM_BASE_URL');
+    }
+    return createChatProvider({
+      name: "openai-compatible",
+      baseUrl: LLM_BASE_URL,
+      apiKey: LLM_API_KEY,
+      model: LLM_MODEL,
+      jsonMode: false,
+    });
+  },
+  rules: () => ({ name: "rules", model: null }),
+};
+
+function createLLMProvider(name) {
+  const factory = LLM_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `HAWKE_LLM_PROVIDER: unknown provider "${name}" (use ${Object.keys(LLM_PROVIDERS).join(", ")})`
+    );
+  }
+  return factory();
+}
+
+const llmProvider = createLLMProvider(LLM_PROVIDER);
+
+/* ================================
+   AI ANALYSIS — prompt, redaction, chunking
+================================ */
+
+const ANALYSIS_SYSTEM_PROMPT = `You are Agent Hawke, an AI anomaly detection system for a university admissions CRM.
+Students are identified only by aliases such as "Student 3". Describe patterns across students; do not guess identities.
+Respond ONLY with valid JSON (no markdown, no backticks). Use this exact structure:
+{
+  "rootCauses": [
+    {
+      "cause": "Short description",
+      "confidence": 78,
+      "category": "Primary driver | Contributing factor | Minor factor",
+      "affectedCount": 3
+    }
+  ],
+  "recommendations": [
+    {
+      "action": "What to do",
+      "impact": "Expected outcome",
+      "priority": "Immediate | This week | This month",
+      "effort": "Low | Medium | High"
+    }
+  ],
+  "riskSummary": "One paragraph executive summary of the overall risk posture"
+}`;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+// Names and emails never leave Hawke — each lead becomes "Student N" and
+// its counselor "[counselor]"
+function redactForPrompt(anomalies) {
+  const aliases = new Map();
+  return anomalies.map((a) => {
+    if (!aliases.has(a.leadId)) aliases.set(a.leadId, `Student ${aliases.size + 1}`);
+    const alias = aliases.get(a.leadId);
+    let explanation = a.explanation || "";
+    for (const pii of [a.name, a.email]) {
+      if (pii) explanation = explanation.split(pii).join(alias);
+    }
+    for (const pii of [a.ownerName, a.ownerEmail]) {
+      if (pii && pii !== "Unassigned") explanation = explanation.split(pii).join("[counselor]");
+    }
+    return {
+      alias,
+      severity: a.severity,
+      type: a.type,
+      source: a.source,
+      crmStage: a.crmStage,
+      explanation: explanation.replace(EMAIL_PATTERN, "[email]"),
+    };
+  });
+}
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Greedy split of prompt lines into batches that fit the token budget
+function chunkLines(lines, budget) {
+  const chunks = [];
+  let current = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTokens(line) + 1;
+    if (current.length > 0 && used + cost > budget) {
+      chunks.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(line);
+    used += cost;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+function buildAnalysisPrompt(lines, anomalies, summary, batch) {
+  const count = (severity) => anomalies.filter((a) => a.severity === severity).length;
+  const batchNote =
+    batch.total > 1
+      ? `\nThis is batch ${batch.index + 1} of ${batch.total}; analyse only the anomalies listed below.\n`
+      : "";
+  return `Here is today's scan summary:
+- Total students scanned: ${summary.totalScanned}
+- Total anomalies detected: ${anomalies.length}
+- Critical: ${count("Critical")}
+- High: ${count("High")}
+- Medium: ${count("Medium")}
+${batchNote}
+Anomalies detected:
+${lines.join("\n")}`;
+}
+
+function buildMergePrompt(partials, anomalies, summary) {
+  return `The anomalies from today's scan (${anomalies.length} anomalies across ${summary.totalScanned} students) were analysed in ${partials.length} batches.
+Merge these batch analyses into one: combine duplicate root causes (summing affectedCount), keep the most important recommendations, and write one riskSummary for the whole scan.
+
+${partials.map((p, i) => `Batch ${i + 1}:\n${JSON.stringify(p)}`).join("\n\n")}`;
+}
+
+/* ================================
+   AI ANALYSIS — output validation + repair
+================================ */
+
+const ANALYSIS_ENUMS = {
+  category: ["Primary driver", "Contributing factor", "Minor factor"],
+  priority: ["Immediate", "This week", "This month"],
+  effort: ["Low", "Medium", "High"],
+};
+
+// Accepts bare JSON, fenced JSON or JSON wrapped in prose; null if none parses
+function parseModelJSON(text) {
+  const candidates = [
+    text.trim(),
+    text.replace(/```(?:json)?/gi, "").trim(),
+    text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1),
+  ];
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+// Returns { value, errors }. Small deviations (numeric strings, enum case,
+// out-of-range confidence) are repaired; anything else is reported.
+function validateAnalysis(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, errors: ["response is not a JSON object"] };
+  }
+
+  const text = (value, where) => {
+    if (typeof value === "string" && value.trim()) return value.trim();
+    errors.push(`${where} must be a non-empty string`);
+    return null;
+  };
+  const number = (value, where, min, max) => {
+    const n = Math.round(Number(value));
+    if (value === null || value === "" || !Number.isFinite(n)) {
+      errors.push(`${where} must be a number`);
+      return null;
+    }
+    return Math.min(max, Math.max(min, n));
+  };
+  const oneOf = (value, field, where) => {
+    const match = ANALYSIS_ENUMS[field].find(
+      (option) => option.toLowerCase() === String(value ?? "").trim().toLowerCase()
+    );
+    if (!match) errors.push(`${where} must be one of: ${ANALYSIS_ENUMS[field].join(", ")}`);
+    return match || null;
+  };
+  const list = (value, where) => {
+    if (Array.isArray(value) && value.length > 0) return value;
+    errors.push(`${where} must be a non-empty array`);
+    return [];
+  };
+
+  const value = {
+    rootCauses: list(raw.rootCauses, "rootCauses").map((c, i) => ({
+      cause: text(c?.cause, `rootCauses[${i}].cause`),
+      confidence: number(c?.confidence, `rootCauses[${i}].confidence`, 0, 100),
+      category: oneOf(c?.category, "category", `rootCauses[${i}].category`),
+      affectedCount: number(c?.affectedCount, `rootCauses[${i}].affectedCount`, 0, Infinity),
+    })),
+    recommendations: list(raw.recommendations, "recommendations").map((r, i) => ({
+      action: text(r?.action, `recommendations[${i}].action`),
+      impact: text(r?.impact, `recommendations[${i}].impact`),
+      priority: oneOf(r?.priority, "priority", `recommendations[${i}].priority`),
+      effort: oneOf(r?.effort, "effort", `recommendations[${i}].effort`),
+    })),
+    riskSummary: text(raw.riskSummary, "riskSummary"),
+  };
+  return { value: errors.length ? null : value, errors };
+}
+
+// One prompt → validated analysis. Invalid output is sent back with the
+// validation errors so the model can correct itself.
+async function requestAnalysis(prompt) {
+  const messages = [
+    { role: "system", content: ANALYSIS_SYSTEM_PROMPT },
+    { role: "user", content: prompt },
+  ];
+  let errors = [];
+  for (let attempt = 1; attempt <= LLM_MAX_ATTEMPTS; attempt++) {
+    const text = await llmProvider.complete(messages);
+    const parsed = parseModelJSON(text);
+    const result = parsed
+      ? validateAnalysis(parsed)
+      : { value: null, errors: ["response is not valid JSON"] };
+    if (result.value) return result.value;
+    errors = result.errors;
+
+    logger.warn("AI analysis output invalid", { attempt, errors: errors.slice(0, 3) });
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `That response was invalid: ${errors.join("; ")}. Reply with the corrected JSON only.`,
+      }
+    );
+  }
+  throw new Error(`AI output failed validation: ${errors.slice(0, 3).join("; ")}`);
+}
+
+/* ================================
+   AI ANALYSIS — deterministic summarizer
+   Used by the "rules" provider and whenever the model can't produce a
+   valid analysis, so the dashboard always has something to show.
+================================ */
+
+const SOURCE_RECOMMENDATIONS = {
+  CRM: {
+    action: "Review stalled CRM leads with their counselors",
+    impact: "Stalled applications move forward or are closed out",
+    effort: "Medium",
+  },
+  SIS: {
+    action: "Reconcile CRM stages with SIS enrollment and finance records",
+    impact: "CRM reflects each student's real enrollment status",
+    effort: "Medium",
+  },
+  Statistical: {
+    action: "Check leads that sit well outside normal stage timelines",
+    impact: "Unusual cases are caught before they become stalls",
+    effort: "Low",
+  },
+};
+
+const SEVERITY_PRIORITY = { Critical: "Immediate", High: "This week", Medium: "This month" };
+
+function summarizeWithRules(anomalies, summary) {
+  const byType = new Map();
+  for (const a of anomalies) {
+    const group = byType.get(a.type) || { type: a.type, leads: new Set(), confidence: 0, count: 0 };
+    group.leads.add(a.leadId);
+    group.confidence += a.confidence || 0;
+    group.count++;
+    byType.set(a.type, group);
+  }
+  const groups = [...byType.values()].sort((a, b) => b.leads.size - a.leads.size);
+
+  const rootCauses = groups.slice(0, 5).map((g, i) => ({
+    cause: g.type,
+    confidence: Math.round(g.confidence / g.count),
+    category: i === 0 ? "Primary driver" : g.leads.size > 1 ? "Contributing factor" : "Minor factor",
+    affectedCount: g.leads.size,
+  }));
+
+  const recommendations = Object.entries(SOURCE_RECOMMENDATIONS)
+    .map(([source, rec]) => {
+      const hits = anomalies.filter((a) => a.source === source);
+      if (hits.length === 0) return null;
+      const worst = pickPrimaryAnomaly(hits).severity;
+      return { ...rec, priority: SEVERITY_PRIORITY[worst] || "This month", rank: SEVERITY_RANK[worst] || 0 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank)
+    .map(({ rank, ...rec }) => rec);
+
+  const count = (severity) => anomalies.filter((a) => a.severity === severity).length;
+  const flagged = new Set(anomalies.map((a) => a.leadId)).size;
+  const top = groups[0];
+  const riskSummary =
+    `${anomalies.length} anomalies across ${flagged} of ${summary.totalScanned} scanned students ` +
+    `(${count("Critical")} critical, ${count("High")} high, ${count("Medium")} medium). ` +
+    `The most common issue is "${top.type}", affecting ${top.leads.size} student${top.leads.size === 1 ? "" : "s"}.`;
+
+  return { rootCauses, recommendations, riskSummary };
+}
+
+/* ================================
+   AI ANALYSIS — entry point
+================================ */
+
+async function analyzeAnomalies(anomalies, summary) {
+  if (anomalies.length === 0) return null;
+
+  const meta = { provider: llmProvider.name, model: llmProvider.model, batches: 0, fallback: false };
+  if (llmProvider.name === "rules") {
+    return { ...summarizeWithRules(anomalies, summary), meta };
+  }
+
+  const lines = redactForPrompt(anomalies).map(
+    (a, i) => `${i + 1}. [${a.severity}] ${a.type} — ${a.alias} (${a.crmStage}, ${a.source}): ${a.explanation}`
+  );
+  const chunks = chunkLines(lines, LLM_PROMPT_TOKENS);
+  meta.batches = chunks.length;
+
+  try {
+    const partials = [];
+    for (const [index, chunk] of chunks.entries()) {
+      partials.push(
+        await requestAnalysis(
+          buildAnalysisPrompt(chunk, anomalies, summary, { index, total: chunks.length })
+        )
+      );
+    }
+    const analysis =
+      partials.length === 1
+        ? partials[0]
+        : await requestAnalysis(buildMergePrompt(partials, anomalies, summary));
+    return { ...analysis, meta };
+  } catch (err) {
+    logger.error("AI analysis failed, using rule-based summary", { error: err.message });
+    return {
+      ...summarizeWithRules(anomalies, summary),
+      meta: { ...meta, fallback: true, error: err.message },
+    };
+  }
+}
+
+/* ================================
+   SCAN HISTORY STORE — JSON files under DATA_DIR
+   scans/<id>.json      full scan result
+   scan-index.json      newest-first scan summaries
+   lead-anomalies.json  leadId → anomaly type → first/last seen
+   crm-state.json       leadId → anomaly status last written to the CRM
+================================ */
+
+const SCANS_DIR = path.join(DATA_DIR, "scans");
+const SCAN_INDEX_FILE = path.join(DATA_DIR, "scan-index.json");
+const LEAD_ANOMALIES_FILE = path.join(DATA_DIR, "lead-anomalies.json");
+const CRM_STATE_FILE = path.join(DATA_DIR, "crm-state.json");
+
+async function readJSONFile(file, fallback) {
+  try {
+    return JSON.parse(await fsp.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file then rename so a crash never leaves half a file.
+// Each write gets its own temp file, so concurrent writers never share one.
+async function writeJSONFile(file, data) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fsp.rename(tmp, file);
+}
+
+// One promise chain per file: load → modify → save cycles on the same file
+// run one after another instead of overwriting each other. `fn` must not
+// take the lock on the same file again — that would wait on itself.
+const fileLocks = new Map();
+
+function withFileLock(file, fn) {
+  const run = (fileLocks.get(file) || Promise.resolve()).then(fn);
+  const settled = run.catch(() => {});
+  fileLocks.set(file, settled);
+  settled.then(() => {
+    if (fileLocks.get(file) === settled) fileLocks.delete(file);
+  });
+  return run;
+}
+
+// Reads the file (or `fallback`), lets `update` change it in place and
+// writes it back, all under the file's lock. Resolves to what `update`
+// returns.
+function updateJSONFile(file, fallback, update) {
+  return withFileLock(file, async () => {
+    const data = await readJSONFile(file, fallback);
+    const result = await update(data);
+    await writeJSONFile(file, data);
+    return result;
+  });
+}
+
+function newScanId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+  return `${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function countByType(anomalies) {
+  const counts = {};
+  for (const a of anomalies || []) counts[a.type] = (counts[a.type] || 0) + 1;
+  return counts;
+}
+
+function summarizeScan(result) {
+  return {
+    id: result.scan_id,
+    timestamp: result.timestamp,
+    full_scan: result.full_scan !== false,
+    duration_seconds: result.duration_seconds,
+    total_leads_scanned: result.total_leads_scanned,
+    anomalies_detected: result.anomalies_detected,
+    leads_flagged: result.leads_flagged,
+    by_severity: result.by_severity,
+    by_source: result.by_source,
+    by_type: countByType(result.anomalies),
+  };
+}
+
+// Updates each lead's anomaly timeline and tags every anomaly in the scan
+// as "new" (never seen before) or "recurring" (seen in an earlier scan).
+// Open anomalies on scanned leads that did not fire this time are resolved.
+function applyScanToTimeline(timeline, result, scannedLeadIds) {
+  const seenNow = new Set();
+
+  for (const a of result.anomalies) {
+    const key = `${a.leadId}::${a.type}`;
+    seenNow.add(key);
+    const leadEntry = (timeline[a.leadId] ||= { name: a.name, anomalies: {} });
+    leadEntry.name = a.name;
+    leadEntry.owner = { id: a.ownerId || null, name: a.ownerName, email: a.ownerEmail || null };
+    const existing = leadEntry.anomalies[a.type];
+
+    a.occurrence = existing ? "recurring" : "new";
+    leadEntry.anomalies[a.type] = {
+      type: a.type,
+      ruleId: a.ruleId,
+      source: a.source,
+      severity: a.severity,
+      status: "open",
+      firstSeen: existing?.firstSeen || result.timestamp,
+      lastSeen: result.timestamp,
+      firstScanId: existing?.firstScanId || result.scan_id,
+      lastScanId: result.scan_id,
+      occurrences: (existing?.occurrences || 0) + 1,
+      resolvedAt: null,
+    };
+  }
+
+  for (const leadId of scannedLeadIds) {
+    const leadEntry = timeline[leadId];
+    if (!leadEntry) continue;
+    for (const entry of Object.values(leadEntry.anomalies)) {
+      if (entry.status === "open" && !seenNow.has(`${leadId}::${entry.type}`)) {
+        entry.status = "resolved";
+        entry.resolvedAt = result.timestamp;
+      }
+    }
+  }
+
+  return timeline;
+}
+
+async function saveScan(result, scannedLeadIds) {
+  await updateLeadTimeline(result, scannedLeadIds);
+  await writeJSONFile(path.join(SCANS_DIR, `${result.scan_id}.json`), result);
+  await updateJSONFile(SCAN_INDEX_FILE, [], (index) => {
+    index.unshift(summarizeScan(result));
+  });
+  logger.info("Scan saved", { scanId: result.scan_id });
+}
+
+// Evaluations outside a scan (webhooks) move the timeline the same way, with
+// a null scan id
+async function updateLeadTimeline(result, leadIds) {
+  await updateJSONFile(LEAD_ANOMALIES_FILE, {}, (timeline) => {
+    applyScanToTimeline(timeline, result, leadIds);
+  });
+}
+
+async function listScans() {
+  return readJSONFile(SCAN_INDEX_FILE, []);
+}
+
+async function loadScan(scanId) {
+  // Ids are generated by newScanId — reject anything that could escape SCANS_DIR
+  if (!/^[\w-]+$/.test(scanId)) return null;
+  return readJSONFile(path.join(SCANS_DIR, `${scanId}.json`), null);
+}
+
+/* ================================
+   TRENDS + SCAN DIFF
+================================ */
+
+// Oldest → newest summaries for charts. Scoped scans cover a slice of the
+// leads, so they are left out unless asked for.
+async function loadTrendSeries({ limit = 30, includeScoped = false } = {}) {
+  const index = await listScans();
+  const entries = index
+    .filter((entry) => includeScoped || entry.full_scan !== false)
+    .slice(0, limit);
+
+  // Index entries written before by_type existed are backfilled from the scan file
+  for (const entry of entries) {
+    if (entry.by_type) continue;
+    const scan = await loadScan(entry.id);
+    entry.by_type = countByType(scan?.anomalies);
+  }
+  return entries.reverse();
+}
+
+// The nearest earlier full scan — what the dashboard compares against
+async function findPreviousScanId(scanId) {
+  const index = await listScans();
+  const position = index.findIndex((entry) => entry.id === scanId);
+  if (position === -1) return null;
+  return index.slice(position + 1).find((entry) => entry.full_scan !== false)?.id || null;
+}
+
+// leadId → worst severity, anomaly types and risk score for one scan
+function leadFindings(scan) {
+  const leads = new Map();
+  for (const a of scan.anomalies || []) {
+    const lead = leads.get(a.leadId) || {
+      leadId: a.leadId,
+      name: a.name,
+      crmStage: a.crmStage,
+      ownerName: a.ownerName,
+      severity: a.severity,
+      riskScore: a.riskScore,
+      types: [],
+    };
+    if ((SEVERITY_RANK[a.severity] || 0) > (SEVERITY_RANK[lead.severity] || 0)) {
+      lead.severity = a.severity;
+    }
+    lead.types.push(a.type);
+    leads.set(a.leadId, lead);
+  }
+  return leads;
+}
+
+// Could the current scan have seen this lead? Full scans see everyone;
+// scoped scans only the prospect ids or stages they asked for.
+function scopeCovers(scan, lead) {
+  if (scan.full_scan !== false || !scan.scope) return true;
+  if (scan.scope.prospectIds?.length) return scan.scope.prospectIds.includes(lead.leadId);
+  return scan.scope.stages.includes(lead.crmStage);
+}
+
+function diffScans(current, previous) {
+  const now = leadFindings(current);
+  const before = leadFindings(previous);
+  const delta = (from = 0, to = 0) => ({ from, to, delta: to - from });
+
+  const diff = {
+    scan_id: current.scan_id,
+    compared_with: previous.scan_id,
+    partial: current.full_scan === false || previous.full_scan === false,
+    summary: {
+      anomalies: delta(previous.anomalies_detected, current.anomalies_detected),
+      leads_flagged: delta(previous.leads_flagged, current.leads_flagged),
+      by_severity: Object.fromEntries(
+        ["critical", "high", "medium"].map((k) => [
+          k,
+          delta(previous.by_severity?.[k], current.by_severity?.[k]),
+        ])
+      ),
+    },
+    newly_flagged: [],
+    resolved: [],
+    escalated: [],
+    deescalated: [],
+  };
+
+  for (const lead of now.values()) {
+    const earlier = before.get(lead.leadId);
+    if (!earlier) {
+      diff.newly_flagged.push(lead);
+      continue;
+    }
+    const change = (SEVERITY_RANK[lead.severity] || 0) - (SEVERITY_RANK[earlier.severity] || 0);
+    if (change === 0) continue;
+    (change > 0 ? diff.escalated : diff.deescalated).push({
+      leadId: lead.leadId,
+      name: lead.name,
+      crmStage: lead.crmStage,
+      ownerName: lead.ownerName,
+      from: earlier.severity,
+      to: lead.severity,
+      riskScore: delta(earlier.riskScore, lead.riskScore),
+      addedTypes: lead.types.filter((t) => !earlier.types.includes(t)),
+      removedTypes: earlier.types.filter((t) => !lead.types.includes(t)),
+    });
+  }
+  for (const earlier of before.values()) {
+    if (!now.has(earlier.leadId) && scopeCovers(current, earlier)) {
+      diff.resolved.push(earlier);
+    }
+  }
+
+  const byRank = (a, b) => (SEVERITY_RANK[b.severity || b.to] || 0) - (SEVERITY_RANK[a.severity || a.to] || 0);
+  diff.newly_flagged.sort(byRank);
+  diff.escalated.sort(byRank);
+  return diff;
+}
+
+/* ================================
+   WHAT-IF SIMULATOR
+   An intervention reaches a share of the leads flagged with one anomaly
+   type in a real scan. Each reached anomaly clears at the type's historical
+   resolution rate — the share of leads flagged with it in one full scan
+   that no longer had it in the next — or always, until there is history.
+================================ */
+
+// type → { observed, resolved } over consecutive pairs of recent full scans
+async function loadResolutionHistory() {
+  const entries = (await listScans())
+    .filter((entry) => entry.full_scan !== false)
+    .slice(0, SIMULATION_HISTORY)
+    .reverse();
+
+  const stats = {};
+  let previous = null;
+  for (const entry of entries) {
+    const scan = await loadScan(entry.id);
+    if (!scan) continue;
+    const current = leadFindings(scan);
+    for (const lead of previous?.values() || []) {
+      const later = current.get(lead.leadId);
+      for (const type of lead.types) {
+        const s = (stats[type] ||= { observed: 0, resolved: 0 });
+        s.observed++;
+        if (!later?.types.includes(type)) s.resolved++;
+      }
+    }
+    previous = current;
+  }
+  return { scans: entries.length, stats };
+}
+
+function knownAnomalyTypes(scan, history) {
+  return new Set([
+    ...ruleConfig.rules.map((r) => r.type),
+    ...BASELINE_METRICS.map((m) => m.type),
+    ...(scan.anomalies || []).map((a) => a.type),
+    ...Object.keys(history.stats),
+  ]);
+}
+
+// [{ type, coverage, effectiveness? }] — percentages, one entry per type
+function parseInterventions(input, knownTypes) {
+  const fail = (message) => {
+    throw Object.assign(new Error(message), { code: "INVALID_SIMULATION" });
+  };
+  const percent = (value, label) => {
+    const n = Number(value);
+    if (value === null || value === "" || !(n >= 0 && n <= 100)) {
+      fail(`${label} must be a percentage between 0 and 100`);
+    }
+    return n;
+  };
+
+  if (!Array.isArray(input) || input.length === 0) fail("interventions must be a non-empty array");
+  const seen = new Set();
+  return input.map((item, i) => {
+    const type = typeof item?.type === "string" ? item.type.trim() : "";
+    if (!knownTypes.has(type)) fail(`interventions[${i}].type "${type}" is not a known anomaly type`);
+    if (seen.has(type)) fail(`interventions[${i}].type "${type}" is listed more than once`);
+    seen.add(type);
+    return {
+      type,
+      coverage: percent(item.coverage, `interventions[${i}].coverage`),
+      effectiveness:
+        item.effectiveness === undefined ? null : percent(item.effectiveness, `interventions[${i}].effectiveness`),
+    };
+  });
+}
+
+// Projected figures are expected values: every anomaly carries the chance
+// it clears, and a lead stays flagged unless all of its anomalies clear.
+function simulateInterventions(scan, interventions, history) {
+  const anomalies = scan.anomalies || [];
+  const clearChance = new Array(anomalies.length).fill(0);
+
+  const plans = interventions.map(({ type, coverage, effectiveness }) => {
+    const observed = history.stats[type];
+    let rate = 1;
+    let basis = "assumed";
+    if (effectiveness !== null) {
+      rate = effectiveness / 100;
+      basis = "override";
+    } else if (observed && observed.observed >= SIMULATION_MIN_OBSERVATIONS) {
+      rate = observed.resolved / observed.observed;
+      basis = "history";
+    }
+
+    // Highest-risk leads are reached first, then the largest balances
+    const eligible = anomalies
+      .map((a, i) => ({ a, i }))
+      .filter(({ a }) => a.type === type)
+      .sort(
+        (x, y) =>
+          (y.a.riskScore || 0) - (x.a.riskScore || 0) ||
+          (y.a.tuitionBalance || 0) - (x.a.tuitionBalance || 0)
+      );
+    const reached = eligible.slice(0, Math.round((eligible.length * coverage) / 100));
+    for (const { i } of reached) clearChance[i] = rate;
+
+    return {
+      type,
+      coverage,
+      resolution_rate: round1(rate * 100),
+      basis,
+      observations: observed?.observed || 0,
+      eligible: eligible.length,
+      reached: reached.length,
+      projected_resolved: round1(reached.length * rate),
+      leads: reached.map(({ a }) => ({
+        leadId: a.leadId,
+        name: a.name,
+        ownerName: a.ownerName,
+        severity: a.severity,
+        riskScore: a.riskScore,
+        tuitionBalance: a.tuitionBalance,
+      })),
+    };
+  });
+
+  const current = { anomalies: 0, leads_flagged: 0, by_severity: { critical: 0, high: 0, medium: 0 }, at_risk_tuition: 0 };
+  const projected = structuredClone(current);
+  const leads = new Map();
+  anomalies.forEach((a, i) => {
+    const severity = String(a.severity).toLowerCase();
+    current.anomalies++;
+    projected.anomalies += 1 - clearChance[i];
+    if (severity in current.by_severity) {
+      current.by_severity[severity]++;
+      projected.by_severity[severity] += 1 - clearChance[i];
+    }
+    const lead = leads.get(a.leadId) || { balance: Number(a.tuitionBalance) || 0, allClear: 1 };
+    lead.allClear *= clearChance[i];
+    leads.set(a.leadId, lead);
+  });
+  for (const { balance, allClear } of leads.values()) {
+    current.leads_flagged++;
+    current.at_risk_tuition += balance;
+    projected.leads_flagged += 1 - allClear;
+    projected.at_risk_tuition += balance * (1 - allClear);
+  }
+
+  projected.anomalies = round1(projected.anomalies);
+  projected.leads_flagged = round1(projected.leads_flagged);
+  projected.at_risk_tuition = Math.round(projected.at_risk_tuition * 100) / 100;
+  current.at_risk_tuition = Math.round(current.at_risk_tuition * 100) / 100;
+  for (const k of Object.keys(projected.by_severity)) {
+    projected.by_severity[k] = round1(projected.by_severity[k]);
+  }
+
+  return {
+    scan_id: scan.scan_id,
+    scan_timestamp: scan.timestamp,
+    history: { scans: history.scans, min_observations: SIMULATION_MIN_OBSERVATIONS },
+    current,
+    projected,
+    improvement_pct: current.anomalies
+      ? round1(((current.anomalies - projected.anomalies) / current.anomalies) * 100)
+      : 0,
+    interventions: plans,
+  };
+}
+
+async function loadCRMState() {
+  return readJSONFile(CRM_STATE_FILE, {});
+}
+
+// Only the given leads' entries are written back, so a scan and a webhook
+// batch that each loaded crmState never undo each other's leads
+async function saveCRMState(state, leadIds) {
+  await updateJSONFile(CRM_STATE_FILE, {}, (saved) => {
+    for (const leadId of leadIds) {
+      if (state[leadId]) saved[leadId] = state[leadId];
+    }
+  });
+}
+
+async function loadLeadTimeline(leadId) {
+  const timeline = await readJSONFile(LEAD_ANOMALIES_FILE, {});
+  return timeline[leadId] || null;
+}
+
+// Open anomalies per lead owner, worst-off counselors first
+async function summarizeOwners() {
+  const timeline = await readJSONFile(LEAD_ANOMALIES_FILE, {});
+  const owners = new Map();
+
+  for (const [leadId, entry] of Object.entries(timeline)) {
+    const open = Object.values(entry.anomalies).filter((a) => a.status === "open");
+    if (open.length === 0) continue;
+
+    const ownerId = entry.owner?.id || null;
+    if (!owners.has(ownerId)) {
+      owners.set(ownerId, {
+        ownerId,
+        ownerName: ownerId ? entry.owner.name : "Unassigned",
+        ownerEmail: entry.owner?.email || null,
+        openAnomalies: 0,
+        by_severity: { critical: 0, high: 0, medium: 0 },
+        by_type: {},
+        oldestOpenSince: null,
+        leads: [],
+      });
+    }
+    const owner = owners.get(ownerId);
+    owner.openAnomalies += open.length;
+    for (const a of open) {
+      const severity = a.severity.toLowerCase();
+      if (severity in owner.by_severity) owner.by_severity[severity]++;
+      owner.by_type[a.type] = (owner.by_type[a.type] || 0) + 1;
+      if (!owner.oldestOpenSince || a.firstSeen < owner.oldestOpenSince) {
+        owner.oldestOpenSince = a.firstSeen;
+      }
+    }
+    owner.leads.push({ leadId, name: entry.name, types: open.map((a) => a.type) });
+  }
+
+  return [...owners.values()].sort(
+    (a, b) =>
+      b.by_severity.critical - a.by_severity.critical ||
+      b.by_severity.high - a.by_severity.high ||
+      b.openAnomalies - a.openAnomalies
+  );
+}
+
+/* ================================
+   COUNSELOR FEEDBACK — acknowledge, snooze, false positive
+   anomaly-feedback.json holds one entry per lead + anomaly type. Any
+   active entry suppresses the anomaly's write-back, tasks and alerts.
+   Acknowledgements and snoozes lapse once the anomaly stops firing (and
+   snoozes when their date passes); false positives stay until removed and
+   feed each rule's false-positive rate, which discounts its confidence.
+================================ */
+
+const FEEDBACK_FILE = path.join(DATA_DIR, "anomaly-feedback.json");
+
+// Request verb → stored status
+const FEEDBACK_ACTIONS = {
+  acknowledge: "acknowledged",
+  snooze: "snoozed",
+  false_positive: "false_positive",
+};
+
+async function loadFeedback() {
+  return readJSONFile(FEEDBACK_FILE, {});
+}
+
+function isFeedbackActive(entry, now = Date.now()) {
+  return entry.action !== "snoozed" || new Date(entry.until).getTime() > now;
+}
+
+// Validates a feedback request for an open anomaly and stores it
+async function recordFeedback(leadId, input = {}) {
+  const fail = (message, status = 400) => {
+    throw Object.assign(new Error(message), { code: "INVALID_FEEDBACK", status });
+  };
+  const action = FEEDBACK_ACTIONS[input.action];
+  if (!action) fail(`action must be one of ${Object.keys(FEEDBACK_ACTIONS).join(", ")}`);
+
+  const timeline = await loadLeadTimeline(leadId);
+  const anomaly = timeline?.anomalies[input.type];
+  if (!anomaly || anomaly.status !== "open") {
+    fail(`Lead ${leadId} has no open "${input.type}" anomaly`, 404);
+  }
+
+  const reason = typeof input.reason === "string" ? input.reason.trim() : "";
+  let until = null;
+  if (action === "snoozed") {
+    const date = new Date(input.until);
+    if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+      fail("until must be a future date");
+    }
+    until = date.toISOString();
+  }
+  if (action === "false_positive" && !reason) fail("A reason is required to mark a false positive");
+
+  const entry = {
+    leadId,
+    type: anomaly.type,
+    ruleId: anomaly.ruleId,
+    action,
+    reason: reason || null,
+    until,
+    by: typeof input.by === "string" && input.by.trim() ? input.by.trim() : null,
+    at: new Date().toISOString(),
+  };
+  await updateJSONFile(FEEDBACK_FILE, {}, (feedback) => {
+    feedback[`${leadId}::${anomaly.type}`] = entry;
+  });
+  logger.info("Counselor feedback recorded", { leadId, anomalyType: anomaly.type, action });
+  return entry;
+}
+
+async function removeFeedback(leadId, type) {
+  return updateJSONFile(FEEDBACK_FILE, {}, (feedback) => {
+    const key = `${leadId}::${type}`;
+    const entry = feedback[key] || null;
+    delete feedback[key];
+    return entry;
+  });
+}
+
+// Drops acknowledgements and snoozes for anomalies that no longer fire on
+// scanned leads, and snoozes that have run out
+async function pruneFeedback(result, scannedLeadIds) {
+  const open = new Set(result.anomalies.map((a) => `${a.leadId}::${a.type}`));
+  const scanned = new Set(scannedLeadIds);
+  await updateJSONFile(FEEDBACK_FILE, {}, (feedback) => {
+    for (const [key, entry] of Object.entries(feedback)) {
+      if (entry.action === "false_positive") continue;
+      const cleared = scanned.has(entry.leadId) && !open.has(key);
+      if (cleared || !isFeedbackActive(entry)) delete feedback[key];
+    }
+  });
+}
+
+// Per rule: leads ever flagged (from the timeline), false positives marked,
+// and the confidence to report once enough leads have been flagged
+async function ruleFeedbackStats() {
+  const [timeline, feedback] = await Promise.all([
+    readJSONFile(LEAD_ANOMALIES_FILE, {}),
+    loadFeedback(),
+  ]);
+  const baseConfidence = Object.fromEntries(ruleConfig.rules.map((r) => [r.id, r.confidence]));
+  const stats = {};
+  const statFor = (ruleId, type) =>
+    (stats[ruleId] ||= { ruleId, type, flagged: 0, false_positives: 0, acknowledged: 0, snoozed: 0 });
+
+  for (const entry of Object.values(timeline)) {
+    for (const a of Object.values(entry.anomalies)) {
+      if (a.ruleId) statFor(a.ruleId, a.type).flagged++;
+    }
+  }
+  for (const entry of Object.values(feedback)) {
+    if (!entry.ruleId) continue;
+    const stat = statFor(entry.ruleId, entry.type);
+    if (entry.action === "false_positive") stat.false_positives++;
+    else if (isFeedbackActive(entry)) stat[entry.action]++;
+  }
+
+  for (const stat of Object.values(stats)) {
+    const rate = stat.flagged ? stat.false_positives / stat.flagged : 0;
+    stat.false_positive_rate_pct = round1(rate * 100);
+    stat.confidence = baseConfidence[stat.ruleId] ?? null;
+    stat.adjusted_confidence =
+      stat.confidence !== null && stat.flagged >= FEEDBACK_MIN_FLAGGED
+        ? Math.round(stat.confidence * (1 - rate))
+        : stat.confidence;
+  }
+  return Object.values(stats).sort((a, b) => b.false_positive_rate_pct - a.false_positive_rate_pct);
+}
+
+/* ================================
+   PROPOSED CRM CORRECTIONS — human-approved fixes
+   Rules with a "proposal" (the SIS enrollment mismatches) know what the
+   CRM should say. Each scan queues one pending proposal per lead and
+   attribute in proposals.json; an operator approves it (applied through
+   Lead.Update, before/after recorded) or rejects it. A pending proposal
+   whose anomaly stops firing becomes obsolete; one whose fix changes is
+   superseded by the new one.
+================================ */
+
+const PROPOSALS_FILE = path.join(DATA_DIR, "proposals.json");
+const MAX_CLOSED_PROPOSALS = 500;
+
+async function loadProposals() {
+  return readJSONFile(PROPOSALS_FILE, {});
+}
+
+// Pending proposals are never dropped; closed ones are trimmed oldest first
+function trimClosedProposals(proposals) {
+  const closed = Object.values(proposals)
+    .filter((p) => p.status !== "pending")
+    .sort((a, b) => b.closedAt.localeCompare(a.closedAt));
+  for (const p of closed.slice(MAX_CLOSED_PROPOSALS)) delete proposals[p.id];
+}
+
+// Load → change → save of proposals.json under its file lock
+function updateProposals(update) {
+  return updateJSONFile(PROPOSALS_FILE, {}, async (proposals) => {
+    const result = await update(proposals);
+    trimClosedProposals(proposals);
+    return result;
+  });
+}
+
+function queueProposals(result, scannedLeadIds) {
+  return updateProposals((proposals) => queueProposalsInto(proposals, result, scannedLeadIds));
+}
+
+function queueProposalsInto(proposals, result, scannedLeadIds) {
+  const now = new Date().toISOString();
+  const summary = { created: 0, obsolete: 0, pending: 0 };
+
+  const pending = new Map();
+  const reviewed = new Set();
+  const fixKey = (p) => `${p.leadId}::${p.attribute}::${p.from}::${p.to}`;
+  for (const p of Object.values(proposals)) {
+    if (p.status === "pending") pending.set(`${p.leadId}::${p.attribute}`, p);
+    if (p.status === "rejected" || p.status === "applied") reviewed.add(fixKey(p));
+  }
+
+  // Anomalies a counselor has dealt with, and fixes a reviewer has already
+  // decided on, don't propose anything
+  const wanted = new Map();
+  for (const a of result.anomalies) {
+    if (!a.proposedFix || a.feedback) continue;
+    if (reviewed.has(fixKey({ leadId: a.leadId, ...a.proposedFix }))) continue;
+    const key = `${a.leadId}::${a.proposedFix.attribute}`;
+    if (!wanted.has(key)) wanted.set(key, a);
+  }
+
+  for (const [key, a] of wanted) {
+    const existing = pending.get(key);
+    if (existing && existing.from === a.proposedFix.from && existing.to === a.proposedFix.to) {
+      existing.lastSeen = now;
+      existing.lastScanId = result.scan_id;
+      continue;
+    }
+    if (existing) Object.assign(existing, { status: "superseded", closedAt: now });
+
+    const proposal = {
+      id: crypto.randomUUID(),
+      status: "pending",
+      leadId: a.leadId,
+      name: a.name,
+      ownerName: a.ownerName,
+      ruleId: a.ruleId,
+      anomalyType: a.type,
+      severity: a.severity,
+      ...a.proposedFix,
+      reason: a.explanation,
+      scanId: result.scan_id,
+      lastScanId: result.scan_id,
+      createdAt: now,
+      lastSeen: now,
+    };
+    proposals[proposal.id] = proposal;
+    summary.created++;
+    logger.info("CRM correction proposed", {
+      leadId: a.leadId,
+      attribute: proposal.attribute,
+      from: proposal.from,
+      to: proposal.to,
+    });
+  }
+
+  const scanned = new Set(scannedLeadIds);
+  for (const [key, p] of pending) {
+    if (p.status === "pending" && scanned.has(p.leadId) && !wanted.has(key)) {
+      Object.assign(p, { status: "obsolete", closedAt: now });
+      summary.obsolete++;
+    }
+  }
+
+  summary.pending = Object.values(proposals).filter((p) => p.status === "pending").length;
+  return summary;
+}
+
+function proposalError(message, status) {
+  return Object.assign(new Error(message), { code: "PROPOSAL_STATE", status });
+}
+
+// Approving writes the lead and crmState, so it holds the scan lock from
+// start to finish: no scan, webhook batch or other approval runs meanwhile
+async function approveProposal(id, review) {
+  if (activeScan) throw proposalError("A Hawke scan is running — try again when it finishes", 409);
+  activeScan = { proposalId: id, trigger: "proposal", startedAt: new Date().toISOString() };
+  try {
+    // A webhook batch may still be writing crmState
+    if (webhooks.running) await webhooks.running;
+    return await applyProposal(id, review);
+  } finally {
+    activeScan = null;
+  }
+}
+
+// Saves one proposal into a freshly loaded proposals.json
+function storeProposal(proposal) {
+  return updateProposals((proposals) => {
+    proposals[proposal.id] = proposal;
+  });
+}
+
+// Re-reads the lead first: if the attribute no longer holds the value the
+// proposal was made against, someone else changed it and the fix is stale.
+async function applyProposal(id, { by = null, note = null } = {}) {
+  const proposal = (await loadProposals())[id];
+  if (!proposal) throw proposalError("Proposal not found", 404);
+  if (proposal.status !== "pending") throw proposalError(`Proposal is already ${proposal.status}`, 409);
+
+  const lead = await fetchLeadById(proposal.leadId);
+  const current = lead ? String(lead[proposal.attribute] ?? "").trim() || null : null;
+  const now = new Date().toISOString();
+  if (current !== proposal.from) {
+    Object.assign(proposal, { status: "stale", closedAt: now, currentValue: current });
+    await storeProposal(proposal);
+    throw proposalError(
+      `Lead ${proposal.leadId} ${proposal.attribute} is now "${current}", not "${proposal.from}" — proposal marked stale`,
+      409
+    );
+  }
+
+  try {
+    await postLeadUpdate(proposal.leadId, [{ Attribute: proposal.attribute, Value: proposal.to }]);
+  } catch (err) {
+    proposal.lastError = err.response?.data?.ExceptionMessage || err.message;
+    await storeProposal(proposal);
+    throw proposalError(`Lead.Update failed: ${proposal.lastError}`, 502);
+  }
+
+  Object.assign(proposal, {
+    status: "applied",
+    closedAt: now,
+    reviewedBy: by,
+    reviewNote: note,
+    change: {
+      before: { [proposal.attribute]: current },
+      after: { [proposal.attribute]: proposal.to },
+      appliedAt: now,
+    },
+  });
+  delete proposal.lastError;
+
+  // The new stage usually takes the lead out of scope, where no scan would
+  // ever clear its flag — re-evaluate it now against the changed value
+  try {
+    const ctx = await loadEvaluationContext({ sisMap: await getCachedSISMap(WEBHOOK_SIS_MAX_AGE_MS) });
+    const outcome = await evaluateLeadOutsideScan({ ...lead, [proposal.attribute]: proposal.to }, ctx);
+    await persistOutsideScan(ctx, outcome.records, [proposal.leadId]);
+    proposal.writeBack = outcome.action;
+  } catch (err) {
+    proposal.writeBack = "failed";
+    logger.error("Failed to re-evaluate lead after proposal", { leadId: proposal.leadId, error: errorDetails(err) });
+  }
+
+  await storeProposal(proposal);
+  logger.info("Proposal applied", { proposalId: proposal.id, leadId: proposal.leadId, attribute: proposal.attribute, to: proposal.to });
+  return proposal;
+}
+
+async function rejectProposal(id, { by = null, reason = null } = {}) {
+  return updateProposals((proposals) => {
+    const proposal = proposals[id];
+    if (!proposal) throw proposalError("Proposal not found", 404);
+    if (proposal.status !== "pending") throw proposalError(`Proposal is already ${proposal.status}`, 409);
+
+    Object.assign(proposal, { status: "rejected", closedAt: new Date().toISOString(), reviewedBy: by, reviewNote: reason });
+    return proposal;
+  });
+}
+
+/* ================================
+   STATISTICAL BASELINES — outliers + cohort spikes
+   baselines.json keeps per-lead metric samples and stage counts from the
+   last BASELINE_WINDOW full scans. Leads are compared with their stage
+   (and stage + source, when that group is big enough) using the IQR
+   fence and a z-score; stage counts are compared week over week.
+================================ */
+
+const BASELINES_FILE = path.join(DATA_DIR, "baselines.json");
+
+// direction: which tail is worrying — long dwell is bad, low engagement is bad
+const BASELINE_METRICS = [
+  {
+    key: "daysInStage",
+    ruleId: "stat.dwell_time_outlier",
+    type: "Unusual Stage Dwell Time",
+    label: "days in stage",
+    direction: "high",
+    read: (m) => (m.stageEnteredOn ? m.daysInStage : null),
+  },
+  {
+    key: "offerAge",
+    ruleId: "stat.offer_age_outlier",
+    type: "Unusual Offer Age",
+    label: "days since offer",
+    direction: "high",
+    read: (m) => (m.offerGivenDate ? m.offerAge : null),
+  },
+  {
+    key: "engagementScore",
+    ruleId: "stat.engagement_outlier",
+    type: "Unusually Low Engagement",
+    label: "engagement score",
+    direction: "low",
+    read: (m) => m.engagementScore,
+  },
+];
+
+// Missing dates would read as 0 days, so they are left out rather than sampled
+function baselineSample(merged) {
+  const sample = { leadId: merged.prospectId, stage: merged.crmStage, source: merged.crmSource };
+  for (const metric of BASELINE_METRICS) {
+    const value = metric.read(merged);
+    sample[metric.key] = Number.isFinite(value) ? value : null;
+  }
+  return sample;
+}
+
+async function loadBaselineHistory() {
+  return readJSONFile(BASELINES_FILE, { snapshots: [] });
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function describeDistribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+  const sd = Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  return { n, mean, sd, q1, median: quantile(sorted, 0.5), q3, iqr: q3 - q1 };
+}
+
+function groupKeys(stage, source) {
+  return [`${stage}|${source}`, stage];
+}
+
+// Builds { metricKey: { groupKey: distribution } } from the stored samples.
+// Each lead counts once — its most recent sample in the window.
+function buildBaselines(history) {
+  const latest = new Map();
+  for (const snapshot of history.snapshots) {
+    for (const sample of snapshot.samples) latest.set(sample.leadId, sample);
+  }
+
+  const baselines = {};
+  for (const metric of BASELINE_METRICS) {
+    const groups = {};
+    for (const sample of latest.values()) {
+      const value = sample[metric.key];
+      if (value === null || value === undefined) continue;
+      for (const key of groupKeys(sample.stage, sample.source)) {
+        (groups[key] ||= []).push(value);
+      }
+    }
+    baselines[metric.key] = {};
+    for (const [key, values] of Object.entries(groups)) {
+      if (values.length >= BASELINE_MIN_SAMPLES) {
+        baselines[metric.key][key] = describeDistribution(values);
+      }
+    }
+  }
+  return baselines;
+}
+
+function detectStatisticalAnomalies(merged, baselines) {
+  const sample = baselineSample(merged);
+  const anomalies = [];
+  for (const metric of BASELINE_METRICS) {
+    const value = sample[metric.key];
+    if (value === null) continue;
+
+    // Prefer the stage + source group; fall back to the whole stage
+    const groupKey = groupKeys(merged.crmStage, merged.crmSource).find(
+      (key) => baselines[metric.key]?.[key]
+    );
+    if (!groupKey) continue;
+    const dist = baselines[metric.key][groupKey];
+
+    const high = metric.direction === "high";
+    const fence = high ? dist.q3 + 1.5 * dist.iqr : dist.q1 - 1.5 * dist.iqr;
+    const beyondFence = high ? value > fence : value < fence;
+    let z = Math.sign(value - dist.mean) * Infinity;
+    if (dist.sd > 0) z = (value - dist.mean) / dist.sd;
+    else if (value === dist.mean) z = 0;
+    const zTail = high ? z : -z;
+    if (!beyondFence || zTail < BASELINE_Z_THRESHOLD) continue;
+
+    const peer = groupKey.includes("|")
+      ? `${merged.crmStage} leads from ${merged.crmSource}`
+      : `${merged.crmStage} leads`;
+    const zText = Number.isFinite(zTail) ? zTail.toFixed(1) : "∞";
+    anomalies.push({
+      ruleId: metric.ruleId,
+      type: metric.type,
+      severity: zTail >= BASELINE_Z_THRESHOLD * 1.5 ? "High" : "Medium",
+      confidence: Math.min(90, 60 + Math.round(Math.min(zTail, 6) * 5)),
+      source: "Statistical",
+      explanation: `${value} ${metric.label} vs a typical ${Math.round(dist.median)} for ${peer} (z=${zText}, n=${dist.n}).`,
+      baseline: {
+        metric: metric.key,
+        group: groupKey,
+        value,
+        median: dist.median,
+        fence: Math.round(fence * 10) / 10,
+        z: Number.isFinite(zTail) ? Math.round(zTail * 100) / 100 : null,
+        samples: dist.n,
+      },
+    });
+  }
+  return anomalies;
+}
+
+// Compares stage counts with the newest snapshot at least COHORT_LOOKBACK_DAYS old
+function detectCohortSpikes(stageCounts, history, now = new Date()) {
+  const cutoff = now.getTime() - COHORT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  const reference = [...history.snapshots]
+    .reverse()
+    .find((s) => new Date(s.timestamp).getTime() <= cutoff);
+  if (!reference) return [];
+
+  const spikes = [];
+  for (const [stage, current] of Object.entries(stageCounts)) {
+    const previous = reference.stageCounts[stage];
+    if (!previous) continue;
+    const changePct = Math.round(((current - previous) / previous) * 100);
+    if (Math.abs(changePct) < COHORT_SPIKE_PCT) continue;
+
+    const direction = changePct > 0 ? "jumped" : "dropped";
+    spikes.push({
+      ruleId: "stat.cohort_spike",
+      type: `Cohort ${changePct > 0 ? "Spike" : "Drop"} — ${stage}`,
+      severity: Math.abs(changePct) >= COHORT_SPIKE_PCT * 2 ? "High" : "Medium",
+      confidence: 80,
+      source: "Statistical",
+      explanation: `${stage} count ${direction} ${Math.abs(changePct)}% (${previous} → ${current}) since ${reference.timestamp.slice(0, 10)}.`,
+      stage,
+      previousCount: previous,
+      currentCount: current,
+      changePct,
+      comparedWith: reference.scanId,
+    });
+  }
+  return spikes;
+}
+
+async function saveBaselineSnapshot(snapshot) {
+  await updateJSONFile(BASELINES_FILE, { snapshots: [] }, (history) => {
+    history.snapshots.push(snapshot);
+    history.snapshots.splice(0, history.snapshots.length - BASELINE_WINDOW);
+  });
+}
+
+/* ================================
+   ALERTS — channels + routing
+   Each route sends the anomalies matching all of its filters to its
+   channels. A channel gets one digest message per scan.
+================================ */
+
+const ALERT_CHANNEL_TYPES = ["webhook", "slack", "teams", "email"];
+const ALERT_ROUTE_FILTERS = {
+  severities: (a) => a.severity,
+  types: (a) => a.type,
+  ruleIds: (a) => a.ruleId,
+  sources: (a) => a.source,
+  stages: (a) => a.crmStage,
+};
+
+function loadAlertConfig(filePath) {
+  if (!filePath) return { channels: [], routes: [], realertAfterHours: 0, smtp: null };
+  const config = interpolateEnv(JSON.parse(fs.readFileSync(filePath, "utf8")));
+
+  const channels = (config.channels || []).map((channel, i) => {
+    const name = channel.name || `${channel.type}-${i + 1}`;
+    if (!ALERT_CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`Alert channel "${name}": unknown type "${channel.type}"`);
+    }
+    if (channel.type === "email" && !(channel.to || []).length) {
+      throw new Error(`Alert channel "${name}": "to" is required`);
+    }
+    if (channel.type !== "email" && !channel.url) {
+      throw new Error(`Alert channel "${name}": "url" is required`);
+    }
+    return { ...channel, name };
+  });
+  const names = new Set(channels.map((c) => c.name));
+
+  const routes = (config.routes || []).map((route, i) => {
+    const where = `Alert route ${route.name || i + 1}`;
+    if (!Array.isArray(route.channels) || route.channels.length === 0) {
+      throw new Error(`${where}: "channels" must be a non-empty array`);
+    }
+    for (const name of route.channels) {
+      if (!names.has(name)) throw new Error(`${where}: unknown channel "${name}"`);
+    }
+    for (const key of Object.keys(route)) {
+      if (key === "name" || key === "channels") continue;
+      if (!ALERT_ROUTE_FILTERS[key]) throw new Error(`${where}: unknown filter "${key}"`);
+      if (!Array.isArray(route[key])) throw new Error(`${where}: "${key}" must be an array`);
+    }
+    return route;
+  });
+
+  if (channels.some((c) => c.type === "email") && !config.smtp) {
+    throw new Error('Alert config: email channels need an "smtp" block');
+  }
+
+  logger.info("Alert channels loaded", { channels: channels.length, routes: routes.length, file: filePath });
+  return {
+    channels,
+    routes,
+    realertAfterHours: Number(config.realertAfterHours || 0),
+    smtp: config.smtp || null,
+  };
+}
+
+const alertConfig = loadAlertConfig(ALERTS_CONFIG_FILE);
+
+// Filters are lists; a missing filter matches everything. Comparison is
+// case-insensitive so "critical" in the config matches "Critical".
+function routeMatches(route, anomaly) {
+  return Object.entries(ALERT_ROUTE_FILTERS).every(([filter, read]) => {
+    if (!route[filter]) return true;
+    const value = String(read(anomaly) ?? "").toLowerCase();
+    return route[filter].some((wanted) => String(wanted).toLowerCase() === value);
+  });
+}
+
+/* ================================
+   ALERTS — message formatting + delivery
+================================ */
+
+function alertHeadline(anomalies, result) {
+  const critical = anomalies.filter((a) => a.severity === "Critical").length;
+  return `Hawke: ${anomalies.length} new anomal${anomalies.length === 1 ? "y" : "ies"}` +
+    `${critical ? ` (${critical} critical)` : ""} — scan ${result.scan_id}`;
+}
+
+function alertLine(a) {
+  return `[${a.severity}] ${a.type} — ${a.name} (${a.crmStage}): ${a.explanation}`;
+}
+
+function alertPayload(a) {
+  return {
+    leadId: a.leadId,
+    name: a.name,
+    crmStage: a.crmStage,
+    type: a.type,
+    ruleId: a.ruleId,
+    severity: a.severity,
+    source: a.source,
+    confidence: a.confidence,
+    explanation: a.explanation,
+  };
+}
+
+let mailTransport = null;
+
+const ALERT_SENDERS = {
+  webhook: (channel, anomalies, result) =>
+    axios.post(
+      channel.url,
+      {
+        event: "hawke.anomalies",
+        scan_id: result.scan_id,
+        timestamp: result.timestamp,
+        count: anomalies.length,
+        anomalies: anomalies.map(alertPayload),
+      },
+      { headers: { "Content-Type": "application/json", ...channel.headers }, timeout: 15000 }
+    ),
+
+  slack: (channel, anomalies, result) =>
+    axios.post(
+      channel.url,
+      {
+        text: `*${alertHeadline(anomalies, result)}*\n${anomalies.map((a) => `• ${alertLine(a)}`).join("\n")}`,
+      },
+      { timeout: 15000 }
+    ),
+
+  // Teams incoming webhooks take the legacy MessageCard format
+  teams: (channel, anomalies, result) =>
+    axios.post(
+      channel.url,
+      {
+        "@type": "MessageCard",
+        "@context": "https://schema.org/extensions",
+        summary: alertHeadline(anomalies, result),
+        title: alertHeadline(anomalies, result),
+        text: anomalies.map((a) => `- ${alertLine(a)}`).join("\n"),
+      },
+      { timeout: 15000 }
+    ),
+
+  email: async (channel, anomalies, result) => {
+    mailTransport ||= nodemailer.createTransport(alertConfig.smtp);
+    const info = await mailTransport.sendMail({
+      from: channel.from || alertConfig.smtp.from,
+      to: channel.to,
+      subject: alertHeadline(anomalies, result),
+      text: anomalies.map(alertLine).join("\n"),
+    });
+    return { status: "sent", messageId: info.messageId };
+  },
+};
+
+/* ================================
+   ALERTS — dedup + delivery log
+   alert-state.json      "<leadId>::<type>::<channel>" → last alerted at
+   alert-deliveries.json newest-first delivery attempts (capped)
+   An open anomaly alerts once per channel; it alerts again only after it
+   resolves and reopens, or after realertAfterHours when that is set.
+================================ */
+
+const ALERT_STATE_FILE = path.join(DATA_DIR, "alert-state.json");
+const ALERT_LOG_FILE = path.join(DATA_DIR, "alert-deliveries.json");
+const MAX_ALERT_LOG = 500;
+
+async function listAlertDeliveries() {
+  return readJSONFile(ALERT_LOG_FILE, []);
+}
+
+async function sendScanAlerts(result, scannedLeadIds) {
+  const summary = { sent: 0, failed: 0, suppressed: 0 };
+  if (alertConfig.routes.length === 0) return summary;
+
+  const deliveries = await updateJSONFile(ALERT_STATE_FILE, {}, (state) =>
+    deliverScanAlerts(state, result, scannedLeadIds, summary)
+  );
+  await updateJSONFile(ALERT_LOG_FILE, [], (log) => {
+    log.unshift(...deliveries);
+    log.splice(MAX_ALERT_LOG);
+  });
+  return summary;
+}
+
+// Sends what is due and marks it in `state`; resolves to the delivery log
+// entries, newest first
+async function deliverScanAlerts(state, result, scannedLeadIds, summary) {
+  const now = Date.now();
+  const openKeys = new Set(result.anomalies.map((a) => `${a.leadId}::${a.type}`));
+
+  // Forget anomalies that cleared on scanned leads so a reopen alerts again
+  const scanned = new Set(scannedLeadIds);
+  for (const key of Object.keys(state)) {
+    const [leadId, type] = key.split("::");
+    if (scanned.has(leadId) && !openKeys.has(`${leadId}::${type}`)) delete state[key];
+  }
+
+  // channel name → anomalies to send on it
+  const outbox = new Map();
+  for (const anomaly of result.anomalies) {
+    if (anomaly.feedback) continue; // handled by a counselor
+    const channels = new Set(
+      alertConfig.routes.filter((r) => routeMatches(r, anomaly)).flatMap((r) => r.channels)
+    );
+    for (const name of channels) {
+      const last = state[`${anomaly.leadId}::${anomaly.type}::${name}`];
+      const realertDue =
+        alertConfig.realertAfterHours > 0 &&
+        now - new Date(last).getTime() >= alertConfig.realertAfterHours * 60 * 60 * 1000;
+      if (last && !realertDue) {
+        summary.suppressed++;
+        continue;
+      }
+      if (!outbox.has(name)) outbox.set(name, []);
+      outbox.get(name).push(anomaly);
+    }
+  }
+
+  const deliveries = [];
+  for (const [name, anomalies] of outbox) {
+    const channel = alertConfig.channels.find((c) => c.name === name);
+    const entry = {
+      id: crypto.randomUUID(),
+      channel: name,
+      type: channel.type,
+      scan_id: result.scan_id,
+      timestamp: new Date().toISOString(),
+      anomalies: anomalies.map((a) => ({ leadId: a.leadId, type: a.type, severity: a.severity })),
+    };
+    try {
+      const sent = await withRetry(
+        `Alert ${name}`,
+        () => ALERT_SENDERS[channel.type](channel, anomalies, result),
+        { idempotent: false, service: "alerts" }
+      );
+      entry.status = "sent";
+      if (sent?.messageId) entry.messageId = sent.messageId;
+      for (const a of anomalies) state[`${a.leadId}::${a.type}::${name}`] = entry.timestamp;
+      summary.sent++;
+      logger.info("Alert sent", { channel: name, anomalies: anomalies.length });
+    } catch (err) {
+      // Not marked in state, so the next scan tries again
+      entry.status = "failed";
+      entry.error = err.response ? `HTTP ${err.response.status}` : err.message;
+      summary.failed++;
+      logger.error("Alert failed", { channel: name, error: entry.error });
+    }
+    deliveries.unshift(entry);
+  }
+  return deliveries;
+}
+
+/* ================================
+   HEALTH CHECKS + METRICS
+   GET /               liveness
+   GET /health/ready   LeadSquared, SIS sources and LLM configured and
+                       reachable — 200 when all pass, 503 otherwise.
+                       Without an API key only pass/fail per check.
+   GET /metrics        Prometheus exposition (see METRICS)
+================================ */
+
+// Liveness — the process is up
+app.get("/", (req, res) => {
+  res.send("Agent Hawke v2 is live 🦅 — CRM + SIS + AI");
+});
+
+// Readiness — every upstream a scan needs is configured and answering.
+// A check resolves to extra detail for the response or throws.
+const READINESS_CHECKS = {
+  async leadsquared() {
+    if (!LS_BASE_URL || !LS_ACCESS_KEY || !LS_SECRET_KEY) {
+      throw new Error("LS_BASE_URL, LS_ACCESS_KEY and LS_SECRET_KEY must be set");
+    }
+    // Any authenticated read proves the keys; an unknown id just comes back empty
+    await fetchLeadById("hawke-readiness-probe");
+  },
+  async sis() {
+    const sources = {};
+    await Promise.all(
+      sisConfig.sources.map(async (source) => {
+        sources[source.name] = await runReadinessCheck(async () => {
+          source.adapter.assertConfigured?.();
+          await source.adapter.probe();
+        });
+      })
+    );
+    const failed = Object.keys(sources).filter((name) => !sources[name].ok);
+    if (failed.length) throw Object.assign(new Error(`SIS source(s) failing: ${failed.join(", ")}`), { sources });
+    return { sources };
+  },
+  async llm() {
+    // The rules provider never calls out
+    if (llmProvider.check) await llmProvider.check();
+    return { provider: llmProvider.name, model: llmProvider.model };
+  },
+};
+
+async function runReadinessCheck(check) {
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_TIMEOUT_MS}ms`)), HEALTH_TIMEOUT_MS);
+  });
+  try {
+    const details = await Promise.race([check(), timeout]);
+    return { ok: true, latency_ms: Date.now() - started, ...details };
+  } catch (err) {
+    // Status codes only — upstream error bodies can echo credentials
+    const error = err.response ? `HTTP ${err.response.status}` : err.message;
+    return { ok: false, latency_ms: Date.now() - started, error, ...(err.sources && { sources: err.sources }) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+let readiness = { checkedAt: 0, pending: null, report: null };
+
+async function checkReadiness() {
+  if (readiness.report && Date.now() - readiness.checkedAt < HEALTH_CACHE_MS) {
+    return { ...readiness.report, cached: true };
+  }
+  readiness.pending ||= (async () => {
+    const checks = {};
+    await Promise.all(
+      Object.entries(READINESS_CHECKS).map(async ([name, check]) => {
+        checks[name] = await runReadinessCheck(check);
+      })
+    );
+    const ready = Object.values(checks).every((c) => c.ok);
+    if (!ready) logger.warn("Readiness check failed", { checks });
+    readiness = {
+      checkedAt: Date.now(),
+      pending: null,
+      report: { status: ready ? "ready" : "not_ready", checkedAt: new Date().toISOString(), checks },
+    };
+    return readiness.report;
+  })();
+  return { ...(await readiness.pending), cached: false };
+}
+
+// Source names, latencies and errors describe our infrastructure, so
+// unauthenticated probes only learn which checks pass
+function publicReadiness({ checks, ...report }) {
+  return {
+    ...report,
+    checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { ok: check.ok }])),
+  };
+}
+
+app.get("/health/ready", async (req, res) => {
+  const report = await checkReadiness();
+  const detailed = AUTH_DISABLED || findApiKey(presentedKey(req));
+  res.status(report.status === "ready" ? 200 : 503).json(detailed ? report : publicReadiness(report));
+});
+
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+/* ================================
+   MAIN ENGINE — /run-intelligence
+   Pass ?dryRun=true (or { "dryRun": true } in the body) to preview
+   the CRM write-back payloads without sending them.
+================================ */
+
+function isTruthyFlag(value) {
+  return value === true || value === "true" || value === "1" || value === 1;
+}
+
+// What evaluating a lead needs besides the lead: the SIS map, what was last
+// written to the CRM, statistical baselines and counselor feedback. One
+// context is shared by every lead in a scan (or webhook batch), along with
+// the scope flags are written under.
+async function loadEvaluationContext({ sisMap, dryRun = false, scope = DEFAULT_SCOPE }) {
+  const [crmState, baselineHistory, feedback, ruleStats] = await Promise.all([
+    loadCRMState(),
+    loadBaselineHistory(),
+    loadFeedback(),
+    ruleFeedbackStats(),
+  ]);
+  return {
+    sisMap,
+    dryRun,
+    scope,
+    crmState,
+    baselineHistory,
+    baselines: buildBaselines(baselineHistory),
+    feedback,
+    adjustedConfidence: Object.fromEntries(
+      ruleStats
+        .filter((s) => s.adjusted_confidence !== s.confidence)
+        .map((s) => [s.ruleId, s.adjusted_confidence])
+    ),
+    activityCache: createActivityCache(),
+  };
+}
+
+// Merge → both rule sets → counselor feedback → CRM write-back + owner task
+// for one lead. crmState in ctx is updated in place; the caller saves it.
+async function evaluateLead(lead, ctx) {
+  const { crmState, dryRun, feedback, adjustedConfidence } = ctx;
+  const sisRecord = lookupSISRecord(ctx.sisMap, lead);
+  const merged = mergeCRMandSIS(lead, sisRecord);
+  const preview = [];
+
+  // Run BOTH rule sets — a lead can have several CRM + SIS anomalies
+  const ruleCtx = createRuleContext(merged, ctx.activityCache);
+  const leadAnomalies = [
+    ...(await detectCRMAnomalies(merged, ruleCtx)),
+    ...(await detectSISAnomalies(merged, ruleCtx)),
+    ...detectStatisticalAnomalies(merged, ctx.baselines),
+  ];
+
+  // Counselor feedback: confidence discounted by each rule's false-positive
+  // rate, and findings a counselor has dealt with are held back
+  for (const a of leadAnomalies) {
+    if (a.ruleId in adjustedConfidence) {
+      a.ruleConfidence = a.confidence;
+      a.confidence = adjustedConfidence[a.ruleId];
+    }
+    const entry = feedback[`${lead.ProspectID}::${a.type}`];
+    if (entry && isFeedbackActive(entry)) {
+      const { action, reason, until, by, at } = entry;
+      a.feedback = { action, reason, until, by, at };
+    }
+  }
+
+  // Pick the worst anomaly for CRM write-back. Statistical findings shift as
+  // the baseline moves, so they are reported but never written to the CRM.
+  const writable = leadAnomalies.filter((a) => a.source !== "Statistical");
+  const primaryAnomaly = pickPrimaryAnomaly(writable.filter((a) => !a.feedback));
+  // Acknowledged or snoozed findings leave the CRM as it is; a false
+  // positive counts as not firing, so a flag written for it is cleared
+  const held = !primaryAnomaly && writable.some((a) => a.feedback && a.feedback.action !== "false_positive");
+  const previousType = crmState[lead.ProspectID]?.type;
+  const action = held
+    ? "suppressed"
+    : await syncLeadWriteBack({
+        leadId: lead.ProspectID,
+        name: merged.name,
+        primary: primaryAnomaly,
+        crmState,
+        dryRun,
+        preview,
+        scope: ctx.scope,
+      });
+  const task = await syncOwnerTask({
+    leadId: lead.ProspectID,
+    name: merged.name,
+    ownerId: merged.ownerId,
+    primary: primaryAnomaly,
+    action,
+    crmState,
+    dryRun,
+    preview,
+  });
+
+  return {
+    lead,
+    merged,
+    leadAnomalies,
+    primaryAnomaly,
+    action,
+    task,
+    previousType,
+    preview,
+    activitiesTruncated: ruleCtx.activitiesTruncated,
+  };
+}
+
+// An evaluated lead's anomalies as they appear in scan results
+function leadAnomalyRecords({ lead, merged, leadAnomalies, primaryAnomaly }) {
+  const leadBase = {
+    leadId: lead.ProspectID,
+    name: merged.name,
+    email: merged.email,
+    crmStage: merged.crmStage,
+    crmSource: merged.crmSource,
+    ownerId: merged.ownerId,
+    ownerName: merged.ownerName,
+    ownerEmail: merged.ownerEmail,
+    daysInStage: merged.daysInStage,
+    hasSIS: merged.hasSIS,
+    enrollmentStatus: merged.enrollmentStatus,
+    academicStanding: merged.academicStanding,
+    tuitionBalance: merged.tuitionBalance,
+  };
+  const riskScore = computeRiskScore(leadAnomalies);
+  return leadAnomalies.map((anomaly) => ({
+    ...leadBase,
+    ...anomaly,
+    isPrimary: anomaly === primaryAnomaly,
+    riskScore,
+  }));
+}
+
+// Evaluates one lead between scans (webhooks, applied proposals). Scans only
+// cover DEFAULT_SCOPE, so a lead outside it is not evaluated. A flag it still
+// carries is resolved once the lead has also left the scope the flag was
+// written under; a flag from a scoped scan is left to that scan.
+async function evaluateLeadOutsideScan(lead, ctx) {
+  const leadId = lead.ProspectID;
+  if (!leadInScope(lead, DEFAULT_SCOPE)) {
+    const { name } = mergeCRMandSIS(lead, null);
+    const entry = ctx.crmState[leadId];
+    const action =
+      entry?.status === "Active" && !leadInFlagScope(lead, entry)
+        ? await syncLeadWriteBack({ leadId, name, primary: null, crmState: ctx.crmState, dryRun: false, preview: [] })
+        : "none";
+    return { status: "out_of_scope", name, action, primary: null, records: [] };
+  }
+  const evaluation = await evaluateLead(lead, ctx);
+  return {
+    status: "evaluated",
+    name: evaluation.merged.name,
+    action: evaluation.action,
+    primary: evaluation.primaryAnomaly?.type || null,
+    records: leadAnomalyRecords(evaluation),
+  };
+}
+
+// Saves what evaluateLeadOutsideScan changed: crmState, plus the timeline
+// and counselor feedback for the given leads (timeline entries get a null
+// scan id)
+async function persistOutsideScan(ctx, anomalies, leadIds) {
+  if (leadIds.length === 0) return;
+  await saveCRMState(ctx.crmState, leadIds);
+  const result = { scan_id: null, timestamp: new Date().toISOString(), anomalies };
+  await updateLeadTimeline(result, leadIds);
+  await pruneFeedback(result, leadIds);
+}
+
+// Runs the full fetch → merge → detect → write-back → AI pipeline once.
+// Callers go through startScanJob so only one scan touches the CRM at a time.
+// onProgress receives { step, message, ... } events as the scan advances.
+async function runIntelligenceScan({
+  dryRun = false,
+  scope = DEFAULT_SCOPE,
+  correlationId = null,
+  onProgress = () => {},
+} = {}) {
+  const startTime = Date.now();
+  const retriesBefore = upstreamRetries;
+  const timings = {};
+  let stepStart = startTime;
+  const writeBackPreview = [];
+  logger.info("Scan started", { dryRun, scope });
+  // A webhook batch may still be writing crmState
+  if (webhooks.running) await webhooks.running;
+
+  // --- Step 1: Fetch all SIS records from Mavis (bulk) ---
+  logger.info("Step 1: fetching SIS data");
+  onProgress({ step: "sis", message: "Fetching SIS data from Mavis..." });
+  const sisAudit = createSISAudit();
+  const sisMap = await fetchAllSISRecords(sisAudit);
+  cacheSISMap(sisMap, sisAudit);
+  timings.sis_ms = Date.now() - stepStart;
+  stepStart = Date.now();
+  onProgress({
+    step: "sis",
+    message: `SIS fetched — ${Object.keys(sisMap).length} records`,
+    sisRecords: Object.keys(sisMap).length,
+  });
+
+  // --- Step 2: Fetch leads in scope from CRM ---
+  logger.info("Step 2: fetching student leads from CRM");
+  let allStudents = [];
+  const stageStats = [];
+  if (scope.prospectIds.length > 0) {
+    for (const leadId of scope.prospectIds) {
+      const lead = await fetchLeadById(leadId);
+      if (lead) allStudents.push(lead);
+    }
+    stageStats.push({
+      stage: null,
+      prospectIds: scope.prospectIds.length,
+      records: allStudents.length,
+      students: allStudents.length,
+    });
+    onProgress({
+      step: "leads",
+      message: `${allStudents.length} of ${scope.prospectIds.length} requested leads fetched`,
+      students: allStudents.length,
+    });
+  } else {
+    for (const stage of scope.stages) {
+      const { leads, pages, records, truncated } = await fetchLeadsByStage(stage, scope);
+      allStudents.push(...leads);
+      stageStats.push({ stage, pages, records, students: leads.length, truncated });
+      onProgress({
+        step: "leads",
+        message: `Stage "${stage}" — ${leads.length} student leads fetched`,
+        stage,
+        students: leads.length,
+      });
+    }
+  }
+  logger.info("Student leads fetched", { leads: allStudents.length });
+  const fullScan = isDefaultScope(scope);
+
+  // A lead flagged earlier that has since left the scope (say Offer Stalled →
+  // Enrolled) never comes back from the stage search, so its flag would stay
+  // Active. Full scans look those leads up: still in scope (missed by a
+  // truncated search) → evaluated as usual; still in the narrower scope a
+  // scoped scan flagged it under → left to that scan; otherwise → resolved
+  // below.
+  let leftScope = [];
+  if (fullScan) {
+    const seen = new Set(allStudents.map((l) => l.ProspectID));
+    const crmState = await loadCRMState();
+    for (const [leadId, entry] of Object.entries(crmState)) {
+      if (entry.status !== "Active" || seen.has(leadId)) continue;
+      const lead = await fetchLeadById(leadId);
+      if (!lead) {
+        logger.warn("Flagged lead no longer exists in the CRM", { leadId });
+      } else if (leadInScope(lead, scope)) {
+        allStudents.push(lead);
+      } else if (!leadInFlagScope(lead, entry)) {
+        leftScope.push(lead);
+      }
+    }
+  }
+  const dataQuality = buildDataQualityReport({ leads: allStudents, sisMap, sisAudit, fullScan });
+
+  if (allStudents.length === 0 && leftScope.length === 0) {
+    return {
+      message: "Hawke scanned — no student leads found",
+      correlation_id: correlationId,
+      dry_run: dryRun,
+      scope,
+      full_scan: fullScan,
+      total_leads_scanned: 0,
+      anomalies_detected: 0,
+      stages: stageStats,
+      data_quality: dataQuality,
+    };
+  }
+
+  // --- Step 3: Merge + Detect anomalies ---
+  logger.info("Step 3: running anomaly detection", { concurrency: SCAN_CONCURRENCY });
+  timings.leads_ms = Date.now() - stepStart;
+  stepStart = Date.now();
+  const anomalies = [];
+  const studentRisk = [];
+  const writeBack = { updated: 0, unchanged: 0, resolved: 0, none: 0, suppressed: 0, failed: 0 };
+  const tasks = { created: 0, failed: 0, no_owner: 0 };
+  const suppressed = { acknowledged: 0, snoozed: 0, false_positive: 0 };
+  const resolvedLeads = [];
+  const evalCtx = await loadEvaluationContext({ sisMap, dryRun, scope });
+  const { activityCache, baselineHistory } = evalCtx;
+
+  let evaluated = 0;
+  const outcomes = await mapWithConcurrency(allStudents, SCAN_CONCURRENCY, async (lead) => {
+    const outcome = await evaluateLead(lead, evalCtx);
+    onProgress({
+      step: "evaluate",
+      message: `Evaluating leads — ${++evaluated}/${allStudents.length}`,
+      done: evaluated,
+      total: allStudents.length,
+    });
+    return outcome;
+  });
+
+  // Aggregate in lead order so results don't depend on which worker finished first
+  for (const outcome of outcomes) {
+    const { lead, merged, leadAnomalies, primaryAnomaly, action, task, previousType, preview } = outcome;
+    writeBack[action]++;
+    if (task) tasks[task]++;
+    writeBackPreview.push(...preview);
+    if (action === "resolved") {
+      resolvedLeads.push({ leadId: lead.ProspectID, name: merged.name, previousType });
+    }
+    if (leadAnomalies.length === 0) continue;
+
+    for (const anomaly of leadAnomalyRecords(outcome)) {
+      if (anomaly.feedback) suppressed[anomaly.feedback.action]++;
+      logger.info(anomaly.feedback ? "Anomaly suppressed" : "Anomaly detected", {
+        leadId: anomaly.leadId,
+        source: anomaly.source,
+        anomalyType: anomaly.type,
+        severity: anomaly.severity,
+        feedback: anomaly.feedback?.action,
+      });
+      anomalies.push(anomaly);
+    }
+
+    studentRisk.push({
+      leadId: lead.ProspectID,
+      name: merged.name,
+      crmStage: merged.crmStage,
+      ownerName: merged.ownerName,
+      riskScore: computeRiskScore(leadAnomalies),
+      anomalyCount: leadAnomalies.length,
+      primaryAnomaly: (primaryAnomaly || pickPrimaryAnomaly(leadAnomalies)).type,
+      primarySeverity: (primaryAnomaly || pickPrimaryAnomaly(leadAnomalies)).severity,
+    });
+  }
+  studentRisk.sort((a, b) => b.riskScore - a.riskScore);
+
+  // Leads read with a partial activity history, next to each stage's own
+  // truncated flag (a prospect-id scan has a single null-stage entry)
+  for (const stats of stageStats) {
+    stats.activitiesTruncated = outcomes.filter(
+      (o) => o.activitiesTruncated && (stats.stage === null || o.merged.crmStage === stats.stage)
+    ).length;
+  }
+
+  for (const lead of leftScope) {
+    const leadId = lead.ProspectID;
+    const { name } = mergeCRMandSIS(lead, null);
+    const previousType = evalCtx.crmState[leadId]?.type;
+    const preview = [];
+    const action = await syncLeadWriteBack({ leadId, name, primary: null, crmState: evalCtx.crmState, dryRun, preview });
+    writeBack[action]++;
+    writeBackPreview.push(...preview);
+    if (action === "resolved") resolvedLeads.push({ leadId, name, previousType, leftScope: true });
+  }
+  // Leads resolved for leaving the scope count as scanned for the timeline
+  const scannedLeadIds = [...allStudents, ...leftScope].map((l) => l.ProspectID);
+  if (!dryRun) await saveCRMState(evalCtx.crmState, scannedLeadIds);
+
+  // Stage counts only compare like with like, so cohort checks need a full scan
+  const stageCounts = {};
+  for (const { merged } of outcomes) {
+    stageCounts[merged.crmStage] = (stageCounts[merged.crmStage] || 0) + 1;
+  }
+  const cohortAnomalies = fullScan ? detectCohortSpikes(stageCounts, baselineHistory) : [];
+  onProgress({
+    step: "evaluate",
+    message: `Evaluated ${allStudents.length} leads — ${anomalies.length} anomalies`,
+    done: allStudents.length,
+    total: allStudents.length,
+  });
+
+  // --- Step 4: AI root cause analysis ---
+  logger.info("Step 4: running AI root cause analysis");
+  timings.evaluate_ms = Date.now() - stepStart;
+  stepStart = Date.now();
+  onProgress({ step: "ai", message: "Running AI root cause analysis..." });
+  const aiAnalysis = await analyzeAnomalies(anomalies, {
+    totalScanned: allStudents.length,
+  });
+  onProgress({ step: "ai", message: "AI analysis done" });
+  timings.ai_ms = Date.now() - stepStart;
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  logger.info("Scan complete", { durationSeconds: parseFloat(elapsed), anomalies: anomalies.length });
+
+  // --- Step 5: Return complete results ---
+  const finishedAt = new Date();
+  const result = {
+    message: dryRun ? "Hawke dry run complete — no CRM writes" : "Hawke scan complete",
+    scan_id: dryRun ? null : newScanId(finishedAt),
+    correlation_id: correlationId,
+    dry_run: dryRun,
+    scope,
+    full_scan: fullScan,
+    timestamp: finishedAt.toISOString(),
+    duration_seconds: parseFloat(elapsed),
+    total_leads_scanned: allStudents.length,
+    stages: stageStats,
+    sis_records_available: Object.keys(sisMap).length,
+    sis_records_matched: dataQuality.matched,
+    sis_match_rate: `${dataQuality.match_rate_pct.toFixed(0)}%`,
+    anomalies_detected: anomalies.length,
+    leads_flagged: studentRisk.length,
+    by_severity: {
+      critical: anomalies.filter((a) => a.severity === "Critical").length,
+      high: anomalies.filter((a) => a.severity === "High").length,
+      medium: anomalies.filter((a) => a.severity === "Medium").length,
+    },
+    by_source: {
+      crm: anomalies.filter((a) => a.source === "CRM").length,
+      sis: anomalies.filter((a) => a.source === "SIS").length,
+      statistical: anomalies.filter((a) => a.source === "Statistical").length,
+    },
+    anomalies,
+    cohort_anomalies: cohortAnomalies,
+    student_risk: studentRisk,
+    write_back: {
+      updated: writeBack.updated,
+      skipped_unchanged: writeBack.unchanged,
+      resolved: writeBack.resolved,
+      suppressed: writeBack.suppressed,
+      failed: writeBack.failed,
+    },
+    suppressed,
+    resolved_leads: resolvedLeads,
+    tasks: { enabled: CREATE_TASKS, ...tasks },
+    data_quality: dataQuality,
+    timings: {
+      ...timings,
+      total_ms: Date.now() - startTime,
+      concurrency: SCAN_CONCURRENCY,
+      activity_fetches: activityCache.stats.fetches,
+      activity_cache_hits: activityCache.stats.hits,
+      upstream_retries: upstreamRetries - retriesBefore,
+    },
+    ai_analysis: aiAnalysis,
+  };
+  if (dryRun) {
+    result.write_back_preview = writeBackPreview;
+    // Real scans queue these for review instead (see queueProposals)
+    result.proposals_preview = anomalies
+      .filter((a) => a.proposedFix && !a.feedback)
+      .map((a) => ({ leadId: a.leadId, name: a.name, anomalyType: a.type, change: a.proposedFix }));
+  }
+
+  // Dry runs are previews — keep history and /last-scan pointing at real scans
+  if (!dryRun) {
+    try {
+      result.alerts = await sendScanAlerts(result, scannedLeadIds);
+    } catch (err) {
+      logger.error("Alerting failed", { error: err.message });
+    }
+    try {
+      result.proposals = await queueProposals(result, scannedLeadIds);
+    } catch (err) {
+      logger.error("Failed to queue proposed CRM corrections", { error: err.message });
+    }
+    try {
+      await saveScan(result, scannedLeadIds);
+    } catch (err) {
+      logger.error("Failed to persist scan", { error: err.message });
+    }
+    try {
+      await pruneFeedback(result, scannedLeadIds);
+    } catch (err) {
+      logger.error("Failed to prune counselor feedback", { error: err.message });
+    }
+    // Scoped scans are kept in history but don't replace the full-scan view
+    if (fullScan) {
+      lastScanResult = result; // Cache for /last-scan endpoint
+      try {
+        await saveBaselineSnapshot({
+          scanId: result.scan_id,
+          timestamp: result.timestamp,
+          stageCounts,
+          samples: outcomes.map(({ merged }) => baselineSample(merged)),
+        });
+      } catch (err) {
+        logger.error("Failed to update statistical baselines", { error: err.message });
+      }
+    }
+  }
+
+  return result;
+}
+
+/* ================================
+   SCAN JOBS — one scan at a time, progress over SSE
+   POST /run-intelligence returns a job id straight away; follow it with
+   GET /jobs/:id or the GET /jobs/:id/events Server-Sent Events stream.
+================================ */
+
+const jobs = new Map();
+const MAX_JOBS_KEPT = 20;
+let activeScan = null;
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    trigger: job.trigger,
+    dryRun: job.dryRun,
+    scope: job.scope,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    scanId: job.result?.scan_id || null,
+    error: job.error,
+  };
+}
+
+function emitJobEvent(job, type, data) {
+  const event = { id: ++job.seq, type, data };
+  // Per-lead progress collapses into one entry so replays stay short
+  const last = job.events[job.events.length - 1];
+  if (type === "progress" && data.step === "evaluate" && last?.data?.step === "evaluate") {
+    job.events[job.events.length - 1] = event;
+  } else {
+    job.events.push(event);
+  }
+  for (const listener of job.listeners) listener(event);
+}
+
+function pruneJobs() {
+  const finished = [...jobs.values()].filter((j) => j.status !== "running");
+  while (jobs.size > MAX_JOBS_KEPT && finished.length) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+function recordScanMetrics(job) {
+  const { trigger, status, result } = job;
+  setMetric(METRICS.scanInProgress, {}, 0);
+  incMetric(METRICS.scans, { trigger, status });
+  observeMetric(METRICS.scanDuration, { trigger }, (Date.parse(job.finishedAt) - Date.parse(job.createdAt)) / 1000);
+  if (status !== "completed" || result.dry_run) return;
+  incMetric(METRICS.leadsScanned, {}, result.total_leads_scanned);
+  if (result.full_scan) recordLastScanMetrics(result);
+}
+
+// Gauges describe the latest full scan only, like /last-scan
+function recordLastScanMetrics(result) {
+  setMetric(METRICS.lastScanLeads, {}, result.total_leads_scanned);
+  setMetric(METRICS.lastScanTimestamp, {}, Math.floor(Date.parse(result.timestamp) / 1000));
+  METRICS.lastScanAnomalies.series.clear();
+  for (const a of result.anomalies || []) {
+    incMetric(METRICS.lastScanAnomalies, { type: a.type, severity: a.severity });
+  }
+}
+
+function startScanJob({ dryRun = false, scope = DEFAULT_SCOPE, trigger = "api" } = {}) {
+  if (activeScan) {
+    const err = new Error("A Hawke scan is already running");
+    err.code = "SCAN_IN_PROGRESS";
+    throw err;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    trigger,
+    dryRun,
+    scope,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: null,
+    result: null,
+    error: null,
+    seq: 0,
+    events: [],
+    listeners: new Set(),
+  };
+  jobs.set(job.id, job);
+  activeScan = { jobId: job.id, trigger, dryRun, startedAt: job.createdAt };
+  setMetric(METRICS.scanInProgress, {}, 1);
+
+  // The job id doubles as the correlation id on every log line of the scan
+  job.promise = logContext.run({ correlationId: job.id }, () =>
+    runIntelligenceScan({
+      dryRun,
+      scope,
+      correlationId: job.id,
+      onProgress: (progress) => {
+        job.progress = progress;
+        emitJobEvent(job, "progress", progress);
+      },
+    })
+  )
+    .then((result) => {
+      job.status = "completed";
+      job.result = result;
+      return result;
+    })
+    .catch((err) => {
+      job.status = "failed";
+      job.error = err.response?.data || err.message;
+      throw err;
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      activeScan = null;
+      recordScanMetrics(job);
+      emitJobEvent(job, job.status === "completed" ? "complete" : "failed", publicJob(job));
+      pruneJobs();
+    });
+  // Callers that don't await the job shouldn't trigger unhandled rejections
+  job.promise.catch(() => {});
+  return job;
+}
+
+// Pass ?wait=true to hold the request open and get the result inline
+app.post("/run-intelligence", requireRole("operator"), async (req, res) => {
+  const dryRun = isTruthyFlag(req.query.dryRun ?? req.body?.dryRun);
+  const wait = isTruthyFlag(req.query.wait ?? req.body?.wait);
+  let scope;
+  try {
+    scope = resolveScope({ ...req.query, ...(req.body?.scope || {}) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (activeScan) {
+    return res.status(409).json({
+      error: "A Hawke scan is already running",
+      running: activeScan,
+    });
+  }
+
+  const job = startScanJob({ dryRun, scope, trigger: "api" });
+  if (!wait) {
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`,
+    });
+  }
+
+  try {
+    res.json(await job.promise);
+  } catch (error) {
+    logger.error("Hawke scan failed", { jobId: job.id, error: errorDetails(error) });
+    res.status(500).json({
+      error: "Hawke scan failed",
+      details: error.response?.data || error.message,
+    });
+  }
+});
+
+// Ad-hoc scan of one lead — same pipeline, write-back and history as a full
+// scan, but answered synchronously
+app.post("/leads/:id/evaluate", requireRole("operator"), async (req, res) => {
+  const dryRun = isTruthyFlag(req.query.dryRun ?? req.body?.dryRun);
+  if (activeScan) {
+    return res.status(409).json({
+      error: "A Hawke scan is already running",
+      running: activeScan,
+    });
+  }
+
+  const scope = resolveScope({ prospectIds: [req.params.id] });
+  const job = startScanJob({ dryRun, scope, trigger: "lead" });
+  try {
+    const result = await job.promise;
+    if (result.total_leads_scanned === 0) {
+      return res.status(404).json({ error: "Lead not found", leadId: req.params.id });
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error("Hawke lead evaluation failed", { jobId: job.id, error: errorDetails(error) });
+    res.status(500).json({
+      error: "Hawke lead evaluation failed",
+      details: error.response?.data || error.message,
+    });
+  }
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json({ ...publicJob(job), result: job.result });
+});
+
+app.get("/jobs/:id/events", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay what the client missed, then stream live until the job ends
+  const lastSeen = parseInt(req.get("Last-Event-ID"), 10) || 0;
+  job.events.filter((e) => e.id > lastSeen).forEach(send);
+  if (job.status !== "running") return res.end();
+
+  const listener = (event) => {
+    send(event);
+    if (event.type === "complete" || event.type === "failed") res.end();
+  };
+  job.listeners.add(listener);
+  req.on("close", () => job.listeners.delete(listener));
+});
+
+/* ================================
+   SCHEDULER — cron-driven recurring scans
+   Each field accepts "*", a number, a range "a-b", a step on either
+   ("every n" via a slash) and comma lists. Fields are minute, hour,
+   day-of-month, month, day-of-week (0 or 7 = Sunday).
+================================ */
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+function parseCronField(expr, { name, min, max }) {
+  const values = new Set();
+  for (const part of expr.split(",")) {
+    const [range, stepStr] = part.split("/");
+    const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+    let lo = min;
+    let hi = max;
+    if (range !== "*") {
+      const [a, b] = range.split("-");
+      lo = parseInt(a, 10);
+      hi = b === undefined ? (stepStr === undefined ? lo : max) : parseInt(b, 10);
+    }
+    if ([lo, hi, step].some(Number.isNaN) || step < 1 || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid cron ${name} field "${expr}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = expression.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) =>
+    parseCronField(p, CRON_FIELDS[i])
+  );
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Classic cron: if both day fields are restricted, either may match
+    dayOr: parts[2] !== "*" && parts[4] !== "*",
+  };
+}
+
+// Walks forward minute by minute — at most a year of minutes, which is cheap
+function nextCronTime(cron, from = new Date()) {
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    const domMatch = cron.dayOfMonth.has(t.getDate());
+    const dowMatch = cron.dayOfWeek.has(t.getDay());
+    const dayMatch = cron.dayOr ? domMatch || dowMatch : domMatch && dowMatch;
+    if (
+      dayMatch &&
+      cron.month.has(t.getMonth() + 1) &&
+      cron.hour.has(t.getHours()) &&
+      cron.minute.has(t.getMinutes())
+    ) {
+      return t;
+    }
+    t.setMinutes(t.getMinutes() + 1);
+  }
+  return null;
+}
+
+const scheduler = {
+  cron: SCAN_CRON || null,
+  parsed: null,
+  timer: null,
+  nextRunAt: null,
+  lastRun: null,
+  error: null,
+};
+
+// setTimeout overflows past ~24.8 days, so long waits are re-armed in hops
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function armScheduler() {
+  scheduler.nextRunAt = nextCronTime(scheduler.parsed);
+  if (!scheduler.nextRunAt) return;
+  const wait = () => {
+    const delay = scheduler.nextRunAt.getTime() - Date.now();
+    if (delay > MAX_TIMER_MS) {
+      scheduler.timer = setTimeout(wait, MAX_TIMER_MS);
+    } else {
+      scheduler.timer = setTimeout(runScheduledScan, Math.max(0, delay));
     }
-  ],
-  "riskSummary": "One paragraph executive summary of the overall risk posture"
-}`;
+    // The HTTP server keeps the process alive, not a pending run
+    scheduler.timer.unref();
+  };
+  wait();
+}
 
+async function runScheduledScan() {
+  const startedAt = new Date().toISOString();
+  logger.info("Scheduled scan starting", { cron: scheduler.cron });
   try {
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.3,
-        max_tokens: 1500,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    const text = response.data.choices?.[0]?.message?.content || "";
-    const cleaned = text.replace(/```json|```/g, "").trim();
-    return JSON.parse(cleaned);
+    const result = await startScanJob({ trigger: "scheduler" }).promise;
+    scheduler.lastRun = {
+      status: "success",
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      scanId: result.scan_id || null,
+      anomaliesDetected: result.anomalies_detected,
+    };
   } catch (err) {
-    console.error("❌ OpenAI analysis failed:", err.message);
-    return null;
+    // An API-triggered scan already holds the lock — skip rather than pile up
+    const skipped = err.code === "SCAN_IN_PROGRESS";
+    if (skipped) logger.warn("Scheduled scan skipped — another scan is running");
+    else logger.error("Scheduled scan failed", { error: errorDetails(err) });
+    scheduler.lastRun = {
+      status: skipped ? "skipped" : "failed",
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      error: skipped ? "Another scan was already running" : err.message,
+    };
   }
+  armScheduler();
 }
 
-/* ================================
-   HEALTH CHECK
-================================ */
+function startScheduler() {
+  if (!scheduler.cron) return;
+  try {
+    scheduler.parsed = parseCron(scheduler.cron);
+  } catch (err) {
+    scheduler.error = err.message;
+    logger.error("Scheduler disabled", { error: err.message });
+    return;
+  }
+  armScheduler();
+  logger.info("Scheduler armed", { cron: scheduler.cron, nextRunAt: scheduler.nextRunAt?.toISOString() });
+}
 
-app.get("/", (req, res) => {
-  res.send("Agent Hawke v2 is live 🦅 — CRM + SIS + AI");
+app.get("/scheduler", (req, res) => {
+  res.json({
+    enabled: !!scheduler.parsed,
+    cron: scheduler.cron,
+    error: scheduler.error,
+    nextRunAt: scheduler.nextRunAt?.toISOString() || null,
+    lastRun: scheduler.lastRun,
+    scanInProgress: activeScan,
+  });
 });
 
 /* ================================
-   MAIN ENGINE — /run-intelligence
+   LEADSQUARED WEBHOOKS — event-driven evaluation
+   POST /webhooks/leadsquared?event=lead_updated|activity_posted
+   The body is the lead or activity JSON (one object or an array), signed
+   with "X-Hawke-Signature: sha256=<hex HMAC-SHA256 of the body>" using
+   HAWKE_WEBHOOK_SECRET. Each lead is re-evaluated on its own against the
+   cached SIS map — write-back, owner task, timeline and feedback, as in a
+   scan; alerts, proposals and scan history stay with scans. Leads outside
+   DEFAULT_SCOPE are not evaluated, only resolved if still flagged. Batches
+   never run alongside a scan: leads that come due during one wait it out.
 ================================ */
 
-app.post("/run-intelligence", async (req, res) => {
-  try {
-    const startTime = Date.now();
+const WEBHOOK_EVENTS = new Set(["lead_updated", "activity_posted"]);
+// Lead updates carry ProspectID; activities name the lead they belong to
+const WEBHOOK_LEAD_ID_FIELDS = ["ProspectID", "ProspectId", "RelatedProspectId", "LeadId"];
+const MAX_WEBHOOK_LOG = 100;
 
-    // --- Step 1: Fetch all SIS records from Mavis (bulk) ---
-    console.log("🔄 Step 1: Fetching SIS data from Mavis...");
-    const sisMap = await fetchAllSISRecords();
+const webhooks = {
+  pending: new Map(), // leadId → { events, firstAt, timer, due }
+  running: null, // promise of the batch in flight
+  recent: [], // newest first
+  stats: { received: 0, rejected: 0, evaluated: 0, out_of_scope: 0, not_found: 0, failed: 0 },
+};
 
-    // --- Step 2: Fetch student leads from CRM ---
-    console.log("🔄 Step 2: Fetching student leads from CRM...");
-    let allStudents = [];
-    for (const stage of TARGET_STAGES) {
-      const students = await fetchStudentsByStage(stage);
-      allStudents.push(...students);
-    }
-    console.log(`Total student leads: ${allStudents.length}`);
+function verifyWebhookSignature(req) {
+  const presented = Buffer.from(String(req.get("X-Hawke-Signature") || "").replace(/^sha256=/i, ""), "hex");
+  const expected = crypto.createHmac("sha256", WEBHOOK_SECRET).update(req.rawBody || "").digest();
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
 
-    if (allStudents.length === 0) {
-      return res.json({
-        message: "Hawke scanned — no student leads found",
-        total_leads_scanned: 0,
-        anomalies_detected: 0,
-      });
-    }
+function webhookLeadId(payload) {
+  const field = WEBHOOK_LEAD_ID_FIELDS.find((f) => payload?.[f]);
+  return field ? String(payload[field]) : null;
+}
 
-    // --- Step 3: Merge + Detect anomalies ---
-    console.log("🔄 Step 3: Running anomaly detection...");
-    const anomalies = [];
+// Every event pushes the lead's evaluation back, up to WEBHOOK_MAX_WAIT_MS
+// after the first one
+function scheduleLeadEvaluation(leadId, event) {
+  const now = Date.now();
+  const entry = webhooks.pending.get(leadId) || { events: {}, firstAt: now, timer: null, due: false };
+  entry.events[event] = (entry.events[event] || 0) + 1;
+  entry.due = false;
+  clearTimeout(entry.timer);
+  const delay = Math.min(WEBHOOK_DEBOUNCE_MS, Math.max(0, entry.firstAt + WEBHOOK_MAX_WAIT_MS - now));
+  entry.timer = setTimeout(() => markLeadDue(leadId), delay);
+  webhooks.pending.set(leadId, entry);
+}
 
-    for (const lead of allStudents) {
-      const sisRecord = sisMap[lead.ProspectID] || null;
-      const merged = mergeCRMandSIS(lead, sisRecord);
+function markLeadDue(leadId) {
+  const entry = webhooks.pending.get(leadId);
+  if (!entry) return;
+  entry.due = true;
+  entry.timer = null;
+  webhooks.running ||= drainWebhookQueue().finally(() => (webhooks.running = null));
+}
 
-      const leadBase = {
-        leadId: lead.ProspectID,
-        name: merged.name,
-        email: merged.email,
-        crmStage: merged.crmStage,
-        crmSource: merged.crmSource,
-        daysInStage: merged.daysInStage,
-        hasSIS: merged.hasSIS,
-        enrollmentStatus: merged.enrollmentStatus,
-        academicStanding: merged.academicStanding,
-        tuitionBalance: merged.tuitionBalance,
-      };
-
-      // Run BOTH rule sets — a lead can have CRM + SIS anomalies
-      const crmAnomaly = await detectCRMAnomalies(merged);
-      const sisAnomaly = detectSISAnomalies(merged);
-
-      // Pick the highest severity for CRM write-back
-      const primaryAnomaly = sisAnomaly && 
-        (sisAnomaly.severity === "Critical" || 
-         (sisAnomaly.severity === "High" && crmAnomaly?.severity !== "Critical"))
-        ? sisAnomaly : (crmAnomaly || sisAnomaly);
-
-      if (primaryAnomaly) {
-        await updateLead(lead.ProspectID, primaryAnomaly);
-        await logAIDecision(lead.ProspectID, primaryAnomaly);
+async function drainWebhookQueue() {
+  for (;;) {
+    const due = [...webhooks.pending].filter(([, entry]) => entry.due);
+    if (due.length === 0) return;
+    if (activeScan) {
+      // The scan owns crmState until it finishes — look again later
+      for (const [leadId, entry] of due) {
+        entry.due = false;
+        entry.timer = setTimeout(() => markLeadDue(leadId), WEBHOOK_DEBOUNCE_MS);
       }
+      return;
+    }
+    for (const [leadId] of due) webhooks.pending.delete(leadId);
+    await logContext.run({ correlationId: `webhook-${crypto.randomUUID()}` }, () => evaluateWebhookBatch(due));
+  }
+}
 
-      if (crmAnomaly) {
-        console.log(`🚨 CRM: ${merged.name} → ${crmAnomaly.type}`);
-        anomalies.push({ ...leadBase, ...crmAnomaly });
-      }
+function logWebhookOutcome(outcome) {
+  webhooks.stats[outcome.status]++;
+  incMetric(METRICS.webhookEvaluations, { status: outcome.status });
+  webhooks.recent.unshift(outcome);
+  webhooks.recent.length = Math.min(webhooks.recent.length, MAX_WEBHOOK_LOG);
+}
+
+async function evaluateWebhookBatch(due) {
+  const outcomes = due.map(([leadId, { events, firstAt }]) => ({
+    leadId,
+    events,
+    firstEventAt: new Date(firstAt).toISOString(),
+  }));
+
+  let ctx;
+  try {
+    ctx = await loadEvaluationContext({ sisMap: await getCachedSISMap(WEBHOOK_SIS_MAX_AGE_MS) });
+  } catch (err) {
+    const error = err.response?.data || err.message;
+    logger.error("Webhook evaluation failed", { error });
+    const evaluatedAt = new Date().toISOString();
+    outcomes.forEach((o) => logWebhookOutcome({ ...o, status: "failed", error, evaluatedAt }));
+    return;
+  }
 
-      if (sisAnomaly) {
-        console.log(`🚨 SIS: ${merged.name} → ${sisAnomaly.type}`);
-        anomalies.push({ ...leadBase, ...sisAnomaly });
+  const anomalies = [];
+  const evaluatedIds = [];
+  for (const outcome of outcomes) {
+    try {
+      const lead = await fetchLeadById(outcome.leadId);
+      if (!lead) {
+        outcome.status = "not_found";
+      } else {
+        // Leads outside DEFAULT_SCOPE are never flagged, only resolved once
+        // they have left the scope their flag was written under
+        const { records, ...evaluation } = await evaluateLeadOutsideScan(lead, ctx);
+        anomalies.push(...records);
+        evaluatedIds.push(outcome.leadId);
+        Object.assign(outcome, evaluation, { anomalies: records.map((a) => a.type) });
+        logger.info("Webhook lead evaluated", {
+          leadId: outcome.leadId,
+          status: outcome.status,
+          primary: outcome.primary,
+          action: outcome.action,
+        });
       }
+    } catch (err) {
+      outcome.status = "failed";
+      outcome.error = err.response?.data || err.message;
+      logger.error("Webhook lead evaluation failed", { leadId: outcome.leadId, error: outcome.error });
     }
+    outcome.evaluatedAt = new Date().toISOString();
+  }
 
-    // --- Step 4: AI Analysis via OpenAI ---
-    console.log("🔄 Step 4: Running AI root cause analysis...");
-    const aiAnalysis = await analyzeWithOpenAI(anomalies, {
-      totalScanned: allStudents.length,
-    });
-
-    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`✅ Scan complete in ${elapsed}s`);
+  try {
+    await persistOutsideScan(ctx, anomalies, evaluatedIds);
+  } catch (err) {
+    logger.error("Failed to persist webhook evaluations", { error: err.message });
+  }
+  outcomes.forEach(logWebhookOutcome);
+}
 
-    // --- Step 5: Return complete results ---
-    const result = {
-      message: "Hawke scan complete",
-      timestamp: new Date().toISOString(),
-      duration_seconds: parseFloat(elapsed),
-      total_leads_scanned: allStudents.length,
-      sis_records_available: Object.keys(sisMap).length,
-      sis_match_rate: `${((Object.keys(sisMap).length / allStudents.length) * 100).toFixed(0)}%`,
-      anomalies_detected: anomalies.length,
-      by_severity: {
-        critical: anomalies.filter((a) => a.severity === "Critical").length,
-        high: anomalies.filter((a) => a.severity === "High").length,
-        medium: anomalies.filter((a) => a.severity === "Medium").length,
-      },
-      by_source: {
-        crm: anomalies.filter((a) => a.source === "CRM").length,
-        sis: anomalies.filter((a) => a.source === "SIS").length,
-      },
-      anomalies,
-      ai_analysis: aiAnalysis,
-    };
+app.post("/webhooks/leadsquared", (req, res) => {
+  if (!WEBHOOK_SECRET) {
+    return res.status(503).json({ error: "Webhooks are not configured. Set HAWKE_WEBHOOK_SECRET." });
+  }
+  if (!verifyWebhookSignature(req)) {
+    webhooks.stats.rejected++;
+    return res.status(401).json({ error: "Invalid webhook signature" });
+  }
+  const event = req.query.event;
+  if (!WEBHOOK_EVENTS.has(event)) {
+    return res.status(400).json({ error: `Unknown event "${event}"`, events: [...WEBHOOK_EVENTS] });
+  }
 
-    res.json(result);
-    lastScanResult = result; // Cache for /last-scan endpoint
-  } catch (error) {
-    console.error("Hawke scan failed:", error.response?.data || error.message);
-    res.status(500).json({
-      error: "Hawke scan failed",
-      details: error.response?.data || error.message,
-    });
+  const payloads = Array.isArray(req.body) ? req.body : [req.body];
+  const leadIds = payloads.map(webhookLeadId);
+  if (leadIds.some((id) => !id)) {
+    return res.status(400).json({ error: `Every event needs a lead id (${WEBHOOK_LEAD_ID_FIELDS.join(", ")})` });
   }
+  webhooks.stats.received += payloads.length;
+  incMetric(METRICS.webhookEvents, { event }, payloads.length);
+  for (const leadId of leadIds) scheduleLeadEvaluation(leadId, event);
+  res.status(202).json({ event, leads: [...new Set(leadIds)], debounce_ms: WEBHOOK_DEBOUNCE_MS });
+});
+
+app.get("/webhooks", (req, res) => {
+  res.json({
+    enabled: !!WEBHOOK_SECRET,
+    debounce_ms: WEBHOOK_DEBOUNCE_MS,
+    max_wait_ms: WEBHOOK_MAX_WAIT_MS,
+    sis_cached_at: sisCache.fetchedAt ? new Date(sisCache.fetchedAt).toISOString() : null,
+    pending: [...webhooks.pending].map(([leadId, { events, firstAt }]) => ({
+      leadId,
+      events,
+      firstEventAt: new Date(firstAt).toISOString(),
+    })),
+    stats: webhooks.stats,
+    recent: webhooks.recent,
+  });
 });
 
 /* ================================
@@ -707,6 +4602,17 @@ app.post("/run-intelligence", async (req, res) => {
 
 let lastScanResult = null;
 
+// Restore the most recent scan from disk so /last-scan survives restarts
+listScans()
+  .then((index) => (index[0] ? loadScan(index[0].id) : null))
+  .then((scan) => {
+    if (scan && !lastScanResult) {
+      lastScanResult = scan;
+      if (scan.full_scan !== false) recordLastScanMetrics(scan);
+    }
+  })
+  .catch((err) => logger.error("Failed to restore last scan", { error: err.message }));
+
 app.get("/last-scan", (req, res) => {
   if (!lastScanResult) {
     return res.json({ message: "No scan has been run yet. POST /run-intelligence first." });
@@ -714,11 +4620,459 @@ app.get("/last-scan", (req, res) => {
   res.json(lastScanResult);
 });
 
+/* ================================
+   SCAN EXPORT — CSV / XLSX / PDF
+   Exports take the same filters as the dashboard table:
+   ?severity=Critical,High&source=sis&owner=Casey Counselor
+================================ */
+
+const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8" },
+  xlsx: { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  pdf: { type: "application/pdf" },
+};
+
+const EXPORT_COLUMNS = [
+  ["Lead ID", (a) => a.leadId],
+  ["Student", (a) => a.name],
+  ["Email", (a) => a.email],
+  ["Owner", (a) => a.ownerName],
+  ["CRM Stage", (a) => a.crmStage],
+  ["Anomaly Type", (a) => a.type],
+  ["Rule", (a) => a.ruleId],
+  ["Severity", (a) => a.severity],
+  ["Source", (a) => a.source],
+  ["Confidence", (a) => a.confidence],
+  ["Risk Score", (a) => a.riskScore],
+  ["Primary", (a) => (a.isPrimary ? "Yes" : "No")],
+  ["Occurrence", (a) => a.occurrence],
+  ["Explanation", (a) => a.explanation],
+];
+
+// Mirrors applyFilters() in the dashboard; each filter is a comma list
+function parseExportFilters(query) {
+  const list = (value) => toStringList(value)?.map((v) => v.toLowerCase());
+  return {
+    severity: list(query.severity),
+    source: list(query.source),
+    owner: toStringList(query.owner),
+  };
+}
+
+function filterAnomalies(anomalies, filters) {
+  return anomalies.filter(
+    (a) =>
+      (!filters.severity || filters.severity.includes(String(a.severity).toLowerCase())) &&
+      (!filters.source || filters.source.includes(String(a.source).toLowerCase())) &&
+      (!filters.owner || filters.owner.includes(a.ownerName || "Unassigned"))
+  );
+}
+
+// Leading = + - @ make spreadsheets evaluate a cell as a formula
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCSV(anomalies) {
+  const lines = [EXPORT_COLUMNS.map(([header]) => csvCell(header)).join(",")];
+  for (const a of anomalies) {
+    lines.push(EXPORT_COLUMNS.map(([, read]) => csvCell(read(a))).join(","));
+  }
+  return Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf8");
+}
+
+async function exportXLSX(scan, anomalies) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Agent Hawke";
+  workbook.created = new Date(scan.timestamp);
+
+  const sheet = workbook.addWorksheet("Anomalies", { views: [{ state: "frozen", ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map(([header]) => ({
+    header,
+    key: header,
+    width: header === "Explanation" ? 80 : 18,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  for (const a of anomalies) {
+    sheet.addRow(EXPORT_COLUMNS.map(([, read]) => read(a) ?? null));
+  }
+  sheet.autoFilter = { from: "A1", to: { row: 1, column: EXPORT_COLUMNS.length } };
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [
+    { header: "Metric", key: "metric", width: 28 },
+    { header: "Value", key: "value", width: 60 },
+  ];
+  summary.getRow(1).font = { bold: true };
+  summary.addRows([
+    ["Scan", scan.scan_id],
+    ["Timestamp", scan.timestamp],
+    ["Leads scanned", scan.total_leads_scanned],
+    ["Leads flagged", scan.leads_flagged],
+    ["Anomalies", scan.anomalies_detected],
+    ["Critical", scan.by_severity?.critical ?? 0],
+    ["High", scan.by_severity?.high ?? 0],
+    ["Medium", scan.by_severity?.medium ?? 0],
+    ["SIS match rate", scan.sis_match_rate],
+    ["Risk summary", scan.ai_analysis?.riskSummary || ""],
+  ]);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function exportPDF(scan, anomalies, filters) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Agent Hawke scan ${scan.scan_id}` } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const heading = (text) => doc.moveDown().font("Helvetica-Bold").fontSize(13).fillColor("#1B3A5C").text(text).moveDown(0.3);
+    const body = (text) => doc.font("Helvetica").fontSize(10).fillColor("#243b53").text(text);
+
+    doc.font("Helvetica-Bold").fontSize(20).fillColor("#1B3A5C").text("Agent Hawke — Scan Report");
+    doc.font("Helvetica").fontSize(10).fillColor("#627d98")
+      .text(`Scan ${scan.scan_id} · ${new Date(scan.timestamp).toUTCString()}`);
+
+    heading("Severity summary");
+    body(
+      `${scan.total_leads_scanned} leads scanned, ${scan.leads_flagged} flagged, ` +
+        `${scan.anomalies_detected} anomalies (SIS match rate ${scan.sis_match_rate}).`
+    );
+    body(
+      `Critical: ${scan.by_severity?.critical ?? 0}    High: ${scan.by_severity?.high ?? 0}    ` +
+        `Medium: ${scan.by_severity?.medium ?? 0}`
+    );
+
+    const ai = scan.ai_analysis;
+    heading("Executive risk summary");
+    body(ai?.riskSummary || "No risk summary available.");
+
+    if (ai?.rootCauses?.length) {
+      heading("Root causes");
+      for (const c of ai.rootCauses) {
+        body(`• ${c.cause} — ${c.category}, ${c.confidence}% confidence, ${c.affectedCount} affected`);
+      }
+    }
+    if (ai?.recommendations?.length) {
+      heading("Recommendations");
+      for (const r of ai.recommendations) {
+        body(`• [${r.priority}] ${r.action} — ${r.impact} (effort: ${r.effort})`);
+      }
+    }
+
+    const active = Object.entries(filters)
+      .filter(([, v]) => v)
+      .map(([k, v]) => `${k}: ${v.join(", ")}`);
+    heading(`Anomalies (${anomalies.length})`);
+    if (active.length) doc.font("Helvetica-Oblique").fontSize(9).fillColor("#627d98").text(`Filtered by ${active.join("; ")}`);
+    for (const a of anomalies) {
+      doc.moveDown(0.4).font("Helvetica-Bold").fontSize(10).fillColor("#243b53")
+        .text(`[${a.severity}] ${a.type} — ${a.name}`);
+      doc.font("Helvetica").fontSize(9).fillColor("#627d98")
+        .text(`${a.crmStage} · ${a.source} · owner ${a.ownerName || "Unassigned"} · ${a.confidence}% confidence`);
+      body(a.explanation || "");
+    }
+
+    doc.end();
+  });
+}
+
+/* ================================
+   SCAN HISTORY ENDPOINTS
+================================ */
+
+app.get("/scans", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const scans = await listScans();
+    res.json({ count: scans.length, scans: scans.slice(0, limit) });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to list scans", details: err.message });
+  }
+});
+
+app.get("/scans/:id", async (req, res) => {
+  try {
+    const scan = await loadScan(req.params.id);
+    if (!scan) return res.status(404).json({ error: "Scan not found" });
+    res.json(scan);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load scan", details: err.message });
+  }
+});
+
+app.get("/scans/:id/export", async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+
+  try {
+    let scan = await loadScan(req.params.id);
+    if (!scan) return res.status(404).json({ error: "Scan not found" });
+    // Files bypass res.json, so viewer redaction has to happen here
+    if (req.role === "viewer") scan = redactFinancial(scan);
+
+    const filters = parseExportFilters(req.query);
+    const anomalies = filterAnomalies(scan.anomalies || [], filters);
+    const file =
+      format === "csv"
+        ? exportCSV(anomalies)
+        : format === "xlsx"
+          ? await exportXLSX(scan, anomalies)
+          : await exportPDF(scan, anomalies, filters);
+
+    res.set({
+      "Content-Type": EXPORT_FORMATS[format].type,
+      "Content-Disposition": `attachment; filename="hawke-scan-${scan.scan_id}.${format}"`,
+    });
+    res.send(file);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to export scan", details: err.message });
+  }
+});
+
+app.get("/scans/:id/diff", async (req, res) => {
+  try {
+    const current = await loadScan(req.params.id);
+    if (!current) return res.status(404).json({ error: "Scan not found" });
+
+    const againstId = req.query.against || (await findPreviousScanId(current.scan_id));
+    if (!againstId) {
+      return res.json({ scan_id: current.scan_id, compared_with: null, message: "No earlier scan to compare with" });
+    }
+    const previous = await loadScan(againstId);
+    if (!previous) return res.status(404).json({ error: "Comparison scan not found" });
+
+    res.json(diffScans(current, previous));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to diff scans", details: err.message });
+  }
+});
+
+app.get("/trends", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 30;
+    const scans = await loadTrendSeries({ limit, includeScoped: isTruthyFlag(req.query.includeScoped) });
+    res.json({ count: scans.length, scans });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load trends", details: err.message });
+  }
+});
+
+// What-if projection against a saved scan (the latest full scan by default)
+app.post("/simulate", async (req, res) => {
+  try {
+    const scanId = req.body?.scanId || (await listScans()).find((e) => e.full_scan !== false)?.id;
+    if (!scanId) return res.status(404).json({ error: "No saved scan to simulate against — run a scan first" });
+    const scan = await loadScan(String(scanId));
+    if (!scan) return res.status(404).json({ error: "Scan not found" });
+
+    const history = await loadResolutionHistory();
+    let interventions;
+    try {
+      interventions = parseInterventions(req.body?.interventions, knownAnomalyTypes(scan, history));
+    } catch (err) {
+      if (err.code !== "INVALID_SIMULATION") throw err;
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(simulateInterventions(scan, interventions, history));
+  } catch (err) {
+    res.status(500).json({ error: "Simulation failed", details: err.message });
+  }
+});
+
+app.get("/counselors", async (req, res) => {
+  try {
+    const counselors = await summarizeOwners();
+    res.json({ count: counselors.length, counselors });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to summarize counselors", details: err.message });
+  }
+});
+
+app.get("/leads/:id/anomalies", async (req, res) => {
+  try {
+    const entry = await loadLeadTimeline(req.params.id);
+    if (!entry) {
+      return res.json({ leadId: req.params.id, anomalies: [] });
+    }
+    const anomalies = Object.values(entry.anomalies).sort((a, b) =>
+      b.lastSeen.localeCompare(a.lastSeen)
+    );
+    const feedback = await loadFeedback();
+    for (const a of anomalies) {
+      const fb = feedback[`${req.params.id}::${a.type}`];
+      if (fb && isFeedbackActive(fb)) a.feedback = fb;
+    }
+    res.json({ leadId: req.params.id, name: entry.name, anomalies });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load lead timeline", details: err.message });
+  }
+});
+
+// Counselor feedback on one open anomaly: { type, action, until?, reason?, by? }
+app.post("/leads/:id/feedback", requireRole("counselor"), async (req, res) => {
+  try {
+    res.status(201).json(await recordFeedback(req.params.id, req.body || {}));
+  } catch (err) {
+    if (err.code === "INVALID_FEEDBACK") return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "Failed to record feedback", details: err.message });
+  }
+});
+
+// Withdraws feedback so the anomaly is treated as open again
+app.delete("/leads/:id/feedback", requireRole("counselor"), async (req, res) => {
+  try {
+    const type = req.query.type || req.body?.type;
+    const removed = await removeFeedback(req.params.id, type);
+    if (!removed) return res.status(404).json({ error: `No feedback on "${type}" for lead ${req.params.id}` });
+    res.json({ removed });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove feedback", details: err.message });
+  }
+});
+
+app.get("/feedback", async (req, res) => {
+  try {
+    const action = req.query.action ? FEEDBACK_ACTIONS[req.query.action] || req.query.action : null;
+    const entries = Object.values(await loadFeedback())
+      .filter((e) => isFeedbackActive(e) && (!action || e.action === action))
+      .sort((a, b) => b.at.localeCompare(a.at));
+    res.json({ count: entries.length, feedback: entries });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load feedback", details: err.message });
+  }
+});
+
+// False-positive rate and adjusted confidence per rule
+app.get("/feedback/rules", async (req, res) => {
+  try {
+    const rules = await ruleFeedbackStats();
+    res.json({ min_flagged: FEEDBACK_MIN_FLAGGED, rules });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to summarize rule feedback", details: err.message });
+  }
+});
+
+/* ================================
+   PROPOSALS ENDPOINTS — review queue for proposed CRM corrections
+================================ */
+
+app.get("/proposals", async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending");
+    const proposals = Object.values(await loadProposals())
+      .filter((p) => status === "all" || p.status === status)
+      .sort((a, b) => (b.closedAt || b.createdAt).localeCompare(a.closedAt || a.createdAt));
+    res.json({ count: proposals.length, proposals });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load proposals", details: err.message });
+  }
+});
+
+app.get("/proposals/:id", async (req, res) => {
+  try {
+    const proposal = (await loadProposals())[req.params.id];
+    if (!proposal) return res.status(404).json({ error: "Proposal not found" });
+    res.json(proposal);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load proposal", details: err.message });
+  }
+});
+
+// Approving writes to the CRM, so it waits for any running scan to finish
+app.post("/proposals/:id/approve", requireRole("operator"), async (req, res) => {
+  if (activeScan) {
+    return res.status(409).json({ error: "A Hawke scan is running — try again when it finishes", running: activeScan });
+  }
+  try {
+    res.json(await approveProposal(req.params.id, { by: req.body?.by, note: req.body?.note }));
+  } catch (err) {
+    if (err.code === "PROPOSAL_STATE") return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "Failed to apply proposal", details: err.response?.data || err.message });
+  }
+});
+
+app.post("/proposals/:id/reject", requireRole("operator"), async (req, res) => {
+  if (activeScan) {
+    return res.status(409).json({ error: "A Hawke scan is running — try again when it finishes", running: activeScan });
+  }
+  try {
+    res.json(await rejectProposal(req.params.id, { by: req.body?.by, reason: req.body?.reason }));
+  } catch (err) {
+    if (err.code === "PROPOSAL_STATE") return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "Failed to reject proposal", details: err.message });
+  }
+});
+
+/* ================================
+   RULES ENDPOINT — Currently loaded rule set
+================================ */
+
+app.get("/rules", (req, res) => {
+  res.json({ file: RULES_FILE, ...ruleConfig });
+});
+
+/* ================================
+   BASELINES ENDPOINT — Learned distributions behind Statistical anomalies
+================================ */
+
+app.get("/baselines", async (req, res) => {
+  try {
+    const history = await loadBaselineHistory();
+    const latest = history.snapshots[history.snapshots.length - 1];
+    res.json({
+      snapshots: history.snapshots.length,
+      window: BASELINE_WINDOW,
+      min_samples: BASELINE_MIN_SAMPLES,
+      z_threshold: BASELINE_Z_THRESHOLD,
+      latest_stage_counts: latest?.stageCounts || {},
+      distributions: buildBaselines(history),
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load baselines", details: err.message });
+  }
+});
+
+/* ================================
+   ALERT ENDPOINTS — Channels + delivery log
+================================ */
+
+app.get("/alerts/channels", requireRole("operator"), (req, res) => {
+  res.json({
+    realertAfterHours: alertConfig.realertAfterHours,
+    // URLs carry webhook secrets — only show the host
+    channels: alertConfig.channels.map((c) => ({
+      name: c.name,
+      type: c.type,
+      target: c.type === "email" ? c.to : new URL(c.url).host,
+    })),
+    routes: alertConfig.routes,
+  });
+});
+
+app.get("/alerts/deliveries", requireRole("operator"), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    let deliveries = await listAlertDeliveries();
+    if (req.query.channel) deliveries = deliveries.filter((d) => d.channel === req.query.channel);
+    if (req.query.status) deliveries = deliveries.filter((d) => d.status === req.query.status);
+    res.json({ count: deliveries.length, deliveries: deliveries.slice(0, limit) });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to read alert deliveries", details: err.message });
+  }
+});
+
 /* ================================
    MAVIS DATA ENDPOINT — Raw SIS data
 ================================ */
 
-app.get("/sis-data", async (req, res) => {
+app.get("/sis-data", requireRole("operator"), async (req, res) => {
   try {
     const sisMap = await fetchAllSISRecords();
     res.json({
@@ -730,15 +5084,52 @@ app.get("/sis-data", async (req, res) => {
   }
 });
 
+// Live reconciliation of every SIS source against the leads a full scan covers
+app.get("/data-quality", requireRole("operator"), async (req, res) => {
+  try {
+    const sisAudit = createSISAudit();
+    const sisMap = await fetchAllSISRecords(sisAudit);
+    const leads = [];
+    for (const stage of DEFAULT_SCOPE.stages) {
+      leads.push(...(await fetchLeadsByStage(stage, DEFAULT_SCOPE)).leads);
+    }
+    res.json(buildDataQualityReport({ leads, sisMap, sisAudit }));
+  } catch (err) {
+    logger.error("Data quality check failed", { error: errorDetails(err) });
+    res.status(500).json({
+      error: "Data quality check failed",
+      details: err.response?.data || err.message,
+    });
+  }
+});
+
 /* ================================
    START SERVER
 ================================ */
 
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-  console.log(`Agent Hawke v2 running on port ${PORT}`);
-  console.log(`LS_BASE_URL: ${LS_BASE_URL}`);
-  console.log(`Mavis: ${MAVIS_BASE_URL}`);
-  console.log(`OpenAI: ${OPENAI_API_KEY ? "configured" : "NOT SET"}`);
-  console.log(`Mavis API Key: ${MAVIS_API_KEY ? "configured" : "NOT SET"}`);
-});
+// Only listen when run directly (`node index.js`); tests import the app
+const isMain = process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  const PORT = process.env.PORT || 10000;
+  app.listen(PORT, () => {
+    logger.info("Agent Hawke v2 running", {
+      port: Number(PORT),
+      lsBaseUrl: LS_BASE_URL,
+      sis: sisConfig.sources.map((src) => src.adapter.describe()),
+      sisJoinKey: sisConfig.joinKey,
+      aiProvider: llmProvider.name,
+      aiModel: llmProvider.model,
+      mavisApiKey: MAVIS_API_KEY ? "configured" : "NOT SET",
+      alerts: alertConfig.channels.map((c) => c.name),
+      apiAuth: AUTH_DISABLED ? "DISABLED" : `${API_KEYS.length} key(s) configured`,
+      webhooks: WEBHOOK_SECRET ? "enabled" : "disabled",
+    });
+    startScheduler();
+  });
+}
+
+export default app;
+
+// Exported for unit tests
+export { parseCSV, parseCron, nextCronTime, startScheduler, runScheduledScan };
@@ -0,0 +1,192 @@
+import express from "express";
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+/* ================================
+   MOCK LEADSQUARED + MAVIS + OPENAI
+   Stand-in for every upstream Hawke talks to, driven by fixture files.
+   Point Hawke at it with:
+     LS_BASE_URL=http://localhost:4010
+     MAVIS_BASE_URL=http://localhost:4010/mavis
+     OPENAI_BASE_URL=http://localhost:4010/openai/v1
+   Fixture dates may be written as "-10d" (ten days ago) so rules that
+   depend on days-in-stage keep firing no matter when the suite runs.
+================================ */
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL("./fixtures", import.meta.url));
+
+function readFixture(dir, name) {
+  return JSON.parse(fs.readFileSync(`${dir}/${name}.json`, "utf8"));
+}
+
+// "-10d" → "YYYY-MM-DD HH:mm:ss" ten days ago, the format LeadSquared returns
+function resolveRelativeDates(value) {
+  if (typeof value === "string") {
+    const match = value.match(/^-(\d+)d$/);
+    if (!match) return value;
+    const date = new Date(Date.now() - Number(match[1]) * 24 * 60 * 60 * 1000);
+    return date.toISOString().replace("T", " ").slice(0, 19);
+  }
+  if (Array.isArray(value)) return value.map(resolveRelativeDates);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, resolveRelativeDates(v)])
+    );
+  }
+  return value;
+}
+
+// The search API wraps each lead as { LeadPropertyList: [{ Attribute, Value }] }
+function toLeadPropertyList(lead) {
+  return {
+    LeadPropertyList: Object.entries(lead).map(([Attribute, Value]) => ({ Attribute, Value })),
+  };
+}
+
+export function createMockServer({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  const fixtures = {
+    leads: resolveRelativeDates(readFixture(fixturesDir, "leads")),
+    activities: resolveRelativeDates(readFixture(fixturesDir, "activities")),
+    sis: readFixture(fixturesDir, "sis"),
+    openai: readFixture(fixturesDir, "openai"),
+  };
+
+  const app = express();
+  app.use(express.json({ limit: "5mb" }));
+
+  // Every upstream call is recorded so tests can assert on write-back payloads
+  const requests = [];
+  app.use((req, res, next) => {
+    if (!req.path.startsWith("/__mock")) {
+      requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+    }
+    next();
+  });
+
+  // Queue of { path, status, times, headers } — lets tests inject 429s / 5xx
+  const failures = [];
+  app.use((req, res, next) => {
+    const failure = failures.find((f) => f.path === req.path && f.times > 0);
+    if (!failure) return next();
+    failure.times--;
+    res.set(failure.headers).status(failure.status).json({ Status: "Error", ExceptionMessage: "Injected failure" });
+  });
+
+  // Queue of { path, ms } — holds the next call to a path so tests can act mid-request
+  const delays = [];
+  app.use((req, res, next) => {
+    const index = delays.findIndex((d) => d.path === req.path);
+    if (index === -1) return next();
+    const [{ ms }] = delays.splice(index, 1);
+    setTimeout(next, ms);
+  });
+
+  // Advanced search: condition groups are AND'd, rows inside a group OR'd
+  app.post("/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter", (req, res) => {
+    const { AdvancedSearch = "{}", Paging = {} } = req.body || {};
+    const { Conditions = [] } = JSON.parse(AdvancedSearch);
+    const pageIndex = Number(Paging.PageIndex || 1);
+    const pageSize = Number(Paging.PageSize || 200);
+    const matches = fixtures.leads.filter((lead) =>
+      Conditions.every((group) =>
+        group.RowCondition.some((row) => lead[row.LSO] === row.RSO)
+      )
+    );
+    res.json({
+      RecordCount: matches.length,
+      Leads: matches
+        .slice((pageIndex - 1) * pageSize, pageIndex * pageSize)
+        .map(toLeadPropertyList),
+    });
+  });
+
+  app.get("/LeadManagement.svc/Leads.GetById", (req, res) => {
+    const lead = fixtures.leads.find((l) => l.ProspectID === req.query.id);
+    res.json(lead ? [lead] : []);
+  });
+
+  app.post("/ProspectActivity.svc/Retrieve", (req, res) => {
+    const { Paging = {} } = req.body || {};
+    const all = fixtures.activities[req.query.leadId] || [];
+    const offset = Number(Paging.Offset || 0);
+    const rowCount = Number(Paging.RowCount || 50);
+    res.json({
+      RecordCount: all.length,
+      ProspectActivities: all.slice(offset, offset + rowCount),
+    });
+  });
+
+  app.post("/LeadManagement.svc/Lead.Update", (req, res) => {
+    res.json({ Status: "Success", Message: { Id: req.query.leadId } });
+  });
+
+  app.post("/ProspectActivity.svc/Create", (req, res) => {
+    res.json({ Status: "Success", Message: { Id: `activity-${requests.length}` } });
+  });
+
+  app.post("/v2/Task.svc/Create", (req, res) => {
+    res.json({ Status: "Success", Message: { Id: `task-${requests.length}` } });
+  });
+
+  app.post("/mavis/rows/query", (req, res) => {
+    res.json({ Data: fixtures.sis });
+  });
+
+  // Queued raw replies (see queueCompletion) go out first, then the fixture
+  const completions = [];
+  app.post("/openai/v1/chat/completions", (req, res) => {
+    const content = completions.length ? completions.shift() : JSON.stringify(fixtures.openai);
+    res.json({
+      id: "chatcmpl-mock",
+      choices: [{ index: 0, message: { role: "assistant", content } }],
+    });
+  });
+
+  app.get("/openai/v1/models", (req, res) => {
+    res.json({ object: "list", data: [{ id: "gpt-4o-mini", object: "model" }] });
+  });
+
+  // Catch-all receiver for alert webhooks (generic, Slack, Teams)
+  app.post("/hooks/:name", (req, res) => {
+    res.json({ ok: true });
+  });
+
+  app.get("/__mock/requests", (req, res) => res.json(requests));
+  app.post("/__mock/reset", (req, res) => {
+    requests.length = 0;
+    failures.length = 0;
+    delays.length = 0;
+    completions.length = 0;
+    res.json({ ok: true });
+  });
+
+  return {
+    app,
+    fixtures,
+    requests,
+    failNext(path, status = 500, times = 1, headers = {}) {
+      failures.push({ path, status, times, headers });
+    },
+    delayNext(path, ms) {
+      delays.push({ path, ms });
+    },
+    queueCompletion(...contents) {
+      completions.push(...contents);
+    },
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+      delays.length = 0;
+      completions.length = 0;
+    },
+  };
+}
+
+const isMain = process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  const PORT = process.env.MOCK_PORT || 4010;
+  createMockServer({ fixturesDir: process.env.MOCK_FIXTURES_DIR }).app.listen(PORT, () => {
+    console.log(`Hawke mock upstreams on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,109 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startHawke, upstreamCalls, VIEWER_KEY } from "./helpers.js";
+
+let hawke;
+let configDir;
+let first;
+
+// Webhook URLs point at the mock — startHawke sets LS_BASE_URL to the mock
+// before importing Hawke, so the config loader can fill it in from the env.
+const ALERT_CONFIG = {
+  smtp: { jsonTransport: true, from: "hawke@example.edu" },
+  channels: [
+    { name: "ops", type: "webhook", url: "${LS_BASE_URL}/hooks/ops" },
+    { name: "slack", type: "slack", url: "${LS_BASE_URL}/hooks/slack" },
+    { name: "teams", type: "teams", url: "${LS_BASE_URL}/hooks/teams" },
+    { name: "registrar", type: "email", to: ["registrar@example.edu"] },
+  ],
+  routes: [
+    { name: "critical", severities: ["critical"], channels: ["ops", "slack"] },
+    {
+      name: "sis-mismatch",
+      sources: ["SIS"],
+      types: ["Enrollment Status Mismatch"],
+      channels: ["teams", "registrar"],
+    },
+  ],
+};
+
+before(async () => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "hawke-alerts-"));
+  const configFile = path.join(configDir, "alerts.json");
+  fs.writeFileSync(configFile, JSON.stringify(ALERT_CONFIG));
+
+  hawke = await startHawke({ HAWKE_ALERTS_CONFIG: configFile });
+});
+
+after(async () => {
+  await hawke.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("dry runs never alert", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan("&dryRun=true");
+  assert.equal(result.alerts, undefined);
+  assert.equal(hawke.mock.requests.filter((r) => r.path.startsWith("/hooks/")).length, 0);
+});
+
+test("a scan sends one digest per matching channel", async () => {
+  hawke.mock.reset();
+  hawke.mock.failNext("/hooks/ops", 500, 1);
+  first = await hawke.scan();
+
+  const critical = first.anomalies.filter((a) => a.severity === "Critical");
+  assert.ok(critical.length > 0);
+
+  const [slack] = upstreamCalls(hawke.mock, "/hooks/slack");
+  assert.match(slack.body.text, new RegExp(`${critical.length} new anomal`));
+  assert.ok(critical.every((a) => slack.body.text.includes(a.name)));
+
+  const [teams] = upstreamCalls(hawke.mock, "/hooks/teams");
+  assert.equal(teams.body["@type"], "MessageCard");
+  assert.match(teams.body.text, /Enrollment Status Mismatch — Wendy/);
+  assert.ok(!teams.body.text.includes("Admitted"));
+
+  assert.deepEqual(first.alerts, { sent: 3, failed: 1, suppressed: 0 });
+});
+
+test("open anomalies are not re-alerted; failed deliveries are retried", async () => {
+  hawke.mock.reset();
+  const second = await hawke.scan();
+
+  const [ops] = upstreamCalls(hawke.mock, "/hooks/ops");
+  assert.equal(ops.body.event, "hawke.anomalies");
+  assert.equal(ops.body.scan_id, second.scan_id);
+  assert.ok(ops.body.anomalies.every((a) => a.severity === "Critical"));
+  assert.equal(upstreamCalls(hawke.mock, "/hooks/slack").length, 0);
+  assert.equal(upstreamCalls(hawke.mock, "/hooks/teams").length, 0);
+  assert.equal(second.alerts.sent, 1);
+  assert.ok(second.alerts.suppressed > 0);
+});
+
+test("the delivery log records every attempt", async () => {
+  const all = await hawke.request("/alerts/deliveries");
+  assert.equal(all.body.count, 5);
+  assert.deepEqual(
+    all.body.deliveries.map((d) => `${d.channel}:${d.status}`).sort(),
+    ["ops:failed", "ops:sent", "registrar:sent", "slack:sent", "teams:sent"]
+  );
+
+  const email = await hawke.request("/alerts/deliveries?channel=registrar");
+  assert.ok(email.body.deliveries[0].messageId);
+  assert.equal(email.body.deliveries[0].scan_id, first.scan_id);
+
+  const failed = await hawke.request("/alerts/deliveries?status=failed");
+  assert.equal(failed.body.deliveries[0].error, "HTTP 500");
+});
+
+test("channel config hides webhook URLs and the log needs the operator role", async () => {
+  const channels = await hawke.request("/alerts/channels");
+  assert.ok(channels.body.channels.every((c) => !String(c.target).includes("/hooks/")));
+
+  const viewer = await hawke.request("/alerts/deliveries", { key: VIEWER_KEY });
+  assert.equal(viewer.status, 403);
+});
@@ -0,0 +1,97 @@
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, upstreamCalls } from "./helpers.js";
+
+const CHAT_PATH = "/openai/v1/chat/completions";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke();
+});
+
+beforeEach(() => hawke.mock.reset());
+
+after(() => hawke.close());
+
+async function analyse() {
+  const result = await hawke.scan("&dryRun=true");
+  return { analysis: result.ai_analysis, calls: upstreamCalls(hawke.mock, CHAT_PATH) };
+}
+
+test("student and counselor names and emails never reach the model", async () => {
+  const { analysis, calls } = await analyse();
+  assert.equal(calls.length, 1);
+  const prompt = calls[0].body.messages.map((m) => m.content).join("\n");
+  assert.ok(!prompt.includes("Olivia"));
+  assert.ok(!prompt.includes("@example.edu"));
+  assert.match(prompt, /Student 1 \(/);
+  assert.ok(!prompt.includes("Casey Counselor"));
+  assert.equal(calls[0].body.model, "gpt-4o-mini");
+  assert.deepEqual(analysis.meta, { provider: "openai", model: "gpt-4o-mini", batches: 1, fallback: false });
+});
+
+test("JSON wrapped in prose and fences is repaired without a retry", async () => {
+  const body = { ...hawke.mock.fixtures.openai };
+  body.recommendations = [{ ...body.recommendations[0], priority: "immediate", effort: "low" }];
+  hawke.mock.queueCompletion(`Here you go:\n\`\`\`json\n${JSON.stringify(body)}\n\`\`\``);
+
+  const { analysis, calls } = await analyse();
+  assert.equal(calls.length, 1);
+  assert.equal(analysis.riskSummary, "Mock risk summary.");
+  assert.equal(analysis.recommendations[0].priority, "Immediate");
+  assert.equal(analysis.recommendations[0].effort, "Low");
+});
+
+test("an invalid shape is sent back to the model with the errors", async () => {
+  hawke.mock.queueCompletion(JSON.stringify({ rootCauses: [], riskSummary: "" }));
+
+  const { analysis, calls } = await analyse();
+  assert.equal(calls.length, 2);
+  const retry = calls[1].body.messages.at(-1).content;
+  assert.match(retry, /rootCauses must be a non-empty array/);
+  assert.match(retry, /riskSummary must be a non-empty string/);
+  assert.equal(analysis.riskSummary, "Mock risk summary.");
+  assert.equal(analysis.meta.fallback, false);
+});
+
+test("persistently invalid output falls back to the rule-based summary", async () => {
+  hawke.mock.queueCompletion("not json", "still not json");
+
+  const { analysis, calls } = await analyse();
+  assert.equal(calls.length, 2);
+  assert.equal(analysis.meta.fallback, true);
+  assert.match(analysis.riskSummary, /^\d+ anomalies across \d+ of 15 scanned students/);
+  assert.equal(analysis.rootCauses[0].category, "Primary driver");
+});
+
+test("long anomaly lists are analysed in batches and merged", async () => {
+  const small = await startHawke({ HAWKE_LLM_PROMPT_TOKENS: "150" });
+  try {
+    const result = await small.scan("&dryRun=true");
+    const calls = upstreamCalls(small.mock, CHAT_PATH);
+    assert.ok(result.ai_analysis.meta.batches > 1);
+    assert.equal(calls.length, result.ai_analysis.meta.batches + 1);
+    assert.match(calls.at(-1).body.messages[1].content, /Merge these batch analyses/);
+    assert.equal(result.ai_analysis.riskSummary, "Mock risk summary.");
+  } finally {
+    await small.close();
+  }
+});
+
+test("without an API key the rules provider summarizes offline", async () => {
+  const offline = await startHawke({ OPENAI_API_KEY: "", HAWKE_LLM_PROMPT_TOKENS: "6000" });
+  try {
+    const result = await offline.scan("&dryRun=true");
+    assert.equal(upstreamCalls(offline.mock, CHAT_PATH).length, 0);
+    assert.equal(result.ai_analysis.meta.provider, "rules");
+    assert.equal(result.ai_analysis.meta.fallback, false);
+    assert.ok(result.ai_analysis.recommendations.length > 0);
+    assert.equal(
+      result.ai_analysis.recommendations[0].action,
+      "Reconcile CRM stages with SIS enrollment and finance records"
+    );
+  } finally {
+    await offline.close();
+  }
+});
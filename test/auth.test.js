@@ -0,0 +1,64 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, OPERATOR_KEY, VIEWER_KEY } from "./helpers.js";
+
+const ALLOWED_ORIGIN = "https://run.leadsquared.com";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke({
+    HAWKE_CORS_ORIGINS: `${ALLOWED_ORIGIN},https://ops.example.edu`,
+    HAWKE_FRAME_ANCESTORS: "https://*.leadsquared.com",
+  });
+});
+
+after(() => hawke.close());
+
+function get(urlPath, headers = {}) {
+  return fetch(`${hawke.baseUrl}${urlPath}`, { headers });
+}
+
+test("roles gate what a key may do", async () => {
+  assert.equal((await hawke.request("/last-scan", { key: null })).status, 401);
+  assert.equal((await hawke.request("/last-scan", { key: "not-a-key" })).status, 401);
+  const scan = await hawke.request("/run-intelligence", { method: "POST", key: VIEWER_KEY });
+  assert.equal(scan.status, 403);
+  assert.equal(scan.body.role, "viewer");
+  assert.equal((await get("/scheduler", { Authorization: `Bearer ${OPERATOR_KEY}` })).status, 200);
+});
+
+test("?api_key= is only accepted on the job event stream", async () => {
+  const key = encodeURIComponent(OPERATOR_KEY);
+  assert.equal((await get(`/scheduler?api_key=${key}`)).status, 401);
+  assert.equal((await get(`/last-scan?api_key=${key}`)).status, 401);
+
+  const { body } = await hawke.request("/run-intelligence", { method: "POST" });
+  const stream = await get(`/jobs/${body.jobId}/events?api_key=${key}`);
+  assert.equal(stream.status, 200);
+  await stream.text();
+  assert.equal((await get(`/jobs/${body.jobId}?api_key=${key}`)).status, 401);
+});
+
+test("CORS only answers origins on the allowlist", async () => {
+  const allowed = await get("/", { Origin: ALLOWED_ORIGIN });
+  assert.equal(allowed.headers.get("access-control-allow-origin"), ALLOWED_ORIGIN);
+  assert.equal(allowed.headers.get("vary"), "Origin");
+
+  const other = await get("/", { Origin: "https://evil.example.com" });
+  assert.equal(other.headers.get("access-control-allow-origin"), null);
+
+  const preflight = await fetch(`${hawke.baseUrl}/run-intelligence`, {
+    method: "OPTIONS",
+    headers: { Origin: ALLOWED_ORIGIN, "Access-Control-Request-Method": "POST" },
+  });
+  assert.equal(preflight.status, 200);
+  assert.equal(preflight.headers.get("access-control-allow-origin"), ALLOWED_ORIGIN);
+  assert.match(preflight.headers.get("access-control-allow-headers"), /X-API-Key/);
+});
+
+test("the dashboard can only be framed by itself and the configured hosts", async () => {
+  const res = await get("/");
+  assert.equal(res.headers.get("content-security-policy"), "frame-ancestors 'self' https://*.leadsquared.com");
+  assert.equal(res.headers.get("x-frame-options"), null);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, anomaliesFor, upstreamCalls } from "./helpers.js";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke({ HAWKE_CREATE_TASKS: "true" });
+});
+
+after(() => hawke.close());
+
+test("owner fields are requested and attached to every anomaly", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan("&dryRun=true");
+
+  const [search] = upstreamCalls(hawke.mock, "/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter");
+  assert.match(search.body.Columns.Include_CSV, /OwnerId,OwnerIdName,OwnerIdEmailAddress/);
+
+  const followup = anomaliesFor(result, "lead-no-followup")["crm.application_completed_no_followup"];
+  assert.equal(followup.ownerId, "user-casey");
+  assert.equal(followup.ownerEmail, "casey.counselor@example.edu");
+  assert.equal(followup.ownerName, "Casey Counselor");
+  // The explanation is written to the CRM, so the owner stays out of it
+  assert.ok(!followup.explanation.includes("Casey"));
+
+  const unassigned = anomaliesFor(result, "lead-zero-progress")["sis.zero_progress"];
+  assert.equal(unassigned.ownerId, null);
+  assert.equal(unassigned.ownerName, "Unassigned");
+});
+
+test("dry runs preview owner tasks for High and Critical anomalies", async () => {
+  const result = await hawke.scan("&dryRun=true");
+  const tasks = result.write_back_preview.filter((p) => p.action === "task");
+
+  assert.equal(tasks.length, 9);
+  assert.deepEqual(result.tasks, { enabled: true, created: 9, failed: 0, no_owner: 1 });
+  assert.ok(!tasks.some((t) => t.leadId === "lead-pending-stalled"));
+
+  const withdrawn = tasks.find((t) => t.leadId === "lead-withdrawn");
+  assert.equal(withdrawn.task.OwnerId, "user-jordan");
+  assert.equal(withdrawn.task.RelatedEntityId, "lead-withdrawn");
+  assert.equal(withdrawn.task.Name, "Hawke: Enrollment Status Mismatch");
+});
+
+test("tasks are created once, when the anomaly is first written", async () => {
+  hawke.mock.reset();
+  const first = await hawke.scan();
+  assert.equal(upstreamCalls(hawke.mock, "/v2/Task.svc/Create").length, 9);
+  assert.equal(first.tasks.created, 9);
+
+  hawke.mock.reset();
+  const second = await hawke.scan();
+  assert.equal(upstreamCalls(hawke.mock, "/v2/Task.svc/Create").length, 0);
+  assert.equal(second.tasks.created, 0);
+});
+
+test("GET /counselors rolls up open anomalies per owner", async () => {
+  const res = await hawke.request("/counselors");
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.counselors.map((c) => [c.ownerName, c.openAnomalies, c.by_severity.critical]),
+    [
+      ["Jordan Advisor", 7, 3],
+      ["Casey Counselor", 6, 1],
+      ["Unassigned", 1, 0],
+    ]
+  );
+
+  const casey = res.body.counselors[1];
+  assert.equal(casey.ownerId, "user-casey");
+  assert.equal(casey.by_type["Application Completed – No Counselor Follow-up"], 2);
+  assert.ok(casey.leads.some((l) => l.leadId === "lead-combo" && l.types.length === 2));
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, VIEWER_KEY } from "./helpers.js";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke();
+
+  // Break the SIS feed in every way the report looks for
+  const sis = hawke.mock.fixtures.sis;
+  sis.find((r) => r.prospect_id === "lead-probation").tuition_balance = "N/A";
+  sis.find((r) => r.prospect_id === "lead-zero-progress").last_updated_timestamp = "";
+  sis.find((r) => r.prospect_id === "lead-suspension").last_updated_timestamp = "yesterday-ish";
+  sis.find((r) => r.prospect_id === "lead-admitted").credits_earned = "twelve";
+  sis.push(
+    { prospect_id: "lead-graduated", student_id: "S-2001", enrollment_status: "Graduated" },
+    { prospect_id: "lead-admitted", student_id: "S-1002-DUP", enrollment_status: "Active" },
+    { prospect_id: "", student_id: "S-2002", enrollment_status: "Active" }
+  );
+});
+
+after(() => hawke.close());
+
+test("GET /data-quality reconciles SIS rows against CRM leads", async () => {
+  const { status, body } = await hawke.request("/data-quality");
+  assert.equal(status, 200);
+
+  assert.equal(body.crm_leads, 15);
+  assert.equal(body.sis_rows, 12);
+  assert.equal(body.sis_records, 10);
+  assert.equal(body.matched, 9);
+  assert.equal(body.match_rate_pct, 60);
+
+  assert.equal(body.crm_without_sis.count, 6);
+  assert.ok(body.crm_without_sis.items.some((l) => l.leadId === "lead-no-followup"));
+  assert.deepEqual(body.sis_without_crm.items.map((r) => r.key), ["lead-graduated"]);
+
+  assert.deepEqual(body.duplicates.sis.items, [{ key: "lead-admitted", rows: 2, sources: ["mavis", "mavis"] }]);
+  assert.equal(body.duplicates.crm.count, 0);
+  assert.equal(body.sis_rows_without_key, 1);
+});
+
+test("staleness and field checks cover what the merge parses", async () => {
+  const { body } = await hawke.request("/data-quality");
+  // Orphan row has no timestamp either
+  assert.equal(body.staleness.missing, 2);
+  assert.equal(body.staleness.invalid, 1);
+
+  const { sis, crm } = body.fields;
+  assert.equal(sis.tuition_balance.invalid, 1);
+  assert.deepEqual(sis.tuition_balance.examples, [{ id: "lead-probation" }]);
+  assert.deepEqual(sis.credits_earned.examples, [{ id: "lead-admitted", value: "twelve" }]);
+  assert.equal(sis.last_updated_timestamp.invalid, 1);
+  assert.equal(crm.EmailAddress.invalid, 0);
+});
+
+test("every scan carries the report and a true match rate", async () => {
+  const full = await hawke.scan("&dryRun=true");
+  assert.equal(full.sis_records_available, 10);
+  assert.equal(full.sis_records_matched, 9);
+  assert.equal(full.sis_match_rate, "60%");
+  assert.equal(full.data_quality.sis_without_crm.count, 1);
+
+  // A scoped scan cannot tell which SIS rows are orphans
+  const scoped = await hawke.scan("&dryRun=true&prospectIds=lead-combo");
+  assert.equal(scoped.sis_match_rate, "100%");
+  assert.equal(scoped.data_quality.sis_without_crm, null);
+});
+
+test("the live report needs the operator role", async () => {
+  const res = await hawke.request("/data-quality", { key: VIEWER_KEY });
+  assert.equal(res.status, 403);
+});
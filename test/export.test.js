@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { startHawke, OPERATOR_KEY, VIEWER_KEY } from "./helpers.js";
+
+let hawke;
+let scan;
+
+before(async () => {
+  hawke = await startHawke();
+  scan = await hawke.scan();
+});
+
+after(() => hawke.close());
+
+async function download(query, key = OPERATOR_KEY) {
+  const res = await fetch(`${hawke.baseUrl}/scans/${scan.scan_id}/export?${query}`, {
+    headers: { "X-API-Key": key },
+  });
+  return { res, body: Buffer.from(await res.arrayBuffer()) };
+}
+
+function csvRows(body) {
+  return body.toString("utf8").replace(/^\uFEFF/, "").trim().split("\r\n");
+}
+
+test("CSV export has a header row and one row per anomaly", async () => {
+  const { res, body } = await download("format=csv");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.equal(
+    res.headers.get("content-disposition"),
+    `attachment; filename="hawke-scan-${scan.scan_id}.csv"`
+  );
+
+  const rows = csvRows(body);
+  assert.match(rows[0], /^Lead ID,Student,Email,Owner,CRM Stage,Anomaly Type/);
+  assert.equal(rows.length, scan.anomalies.length + 1);
+});
+
+test("exports take the dashboard's severity, source and owner filters", async () => {
+  const critical = csvRows((await download("format=csv&severity=critical")).body);
+  const expected = scan.anomalies.filter((a) => a.severity === "Critical").length;
+  assert.equal(critical.length, expected + 1);
+  assert.ok(critical.slice(1).every((row) => row.includes(",Critical,")));
+
+  const sis = csvRows((await download("format=csv&source=sis&owner=Jordan Advisor")).body);
+  const expectedSIS = scan.anomalies.filter(
+    (a) => a.source === "SIS" && a.ownerName === "Jordan Advisor"
+  ).length;
+  assert.equal(sis.length, expectedSIS + 1);
+});
+
+test("XLSX export has anomaly and summary sheets", async () => {
+  const { res, body } = await download("format=xlsx&severity=High");
+  assert.equal(res.status, 200);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(body);
+  const sheet = workbook.getWorksheet("Anomalies");
+  assert.equal(sheet.getRow(1).getCell(6).value, "Anomaly Type");
+  assert.equal(sheet.rowCount - 1, scan.anomalies.filter((a) => a.severity === "High").length);
+
+  const summary = workbook.getWorksheet("Summary");
+  assert.equal(summary.getRow(2).getCell(2).value, scan.scan_id);
+});
+
+test("PDF report is produced", async () => {
+  const { res, body } = await download("format=pdf");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.equal(body.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("viewers get financial values redacted in exports too", async () => {
+  const { body } = await download("format=csv&severity=critical", VIEWER_KEY);
+  const text = body.toString("utf8");
+  assert.ok(!/\$\d/.test(text));
+  assert.match(text, /\$\[redacted\]/);
+});
+
+test("unknown formats and scans are rejected", async () => {
+  assert.equal((await download("format=docx")).res.status, 400);
+  const res = await fetch(`${hawke.baseUrl}/scans/nope/export?format=csv`, {
+    headers: { "X-API-Key": OPERATOR_KEY },
+  });
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, anomaliesFor, COUNSELOR_KEY, VIEWER_KEY } from "./helpers.js";
+
+const FOLLOWUP = "Application Completed – No Counselor Follow-up";
+
+let hawke;
+let second;
+
+before(async () => {
+  hawke = await startHawke({ HAWKE_FEEDBACK_MIN_FLAGGED: "2" });
+  await hawke.scan();
+});
+
+after(() => hawke.close());
+
+function feedback(leadId, body, key = COUNSELOR_KEY) {
+  return hawke.request(`/leads/${leadId}/feedback`, { method: "POST", body, key });
+}
+
+test("feedback is validated against the lead's open anomalies", async () => {
+  assert.equal((await feedback("lead-withdrawn", { type: "Enrollment Status Mismatch", action: "acknowledge" }, VIEWER_KEY)).status, 403);
+  assert.equal((await feedback("lead-healthy", { type: "Offer Stalled", action: "acknowledge" })).status, 404);
+  assert.equal((await feedback("lead-offer-stalled", { type: "Offer Stalled", action: "ignore" })).status, 400);
+  assert.equal((await feedback("lead-offer-stalled", { type: "Offer Stalled", action: "snooze" })).status, 400);
+  assert.equal(
+    (await feedback("lead-offer-stalled", { type: "Offer Stalled", action: "snooze", until: "2020-01-01" })).status,
+    400
+  );
+  assert.equal((await feedback("lead-no-followup", { type: FOLLOWUP, action: "false_positive" })).status, 400);
+});
+
+test("counselors acknowledge, snooze and mark false positives", async () => {
+  const ack = await feedback("lead-withdrawn", { type: "Enrollment Status Mismatch", action: "acknowledge", by: "Jordan" });
+  assert.equal(ack.status, 201);
+  assert.equal(ack.body.action, "acknowledged");
+  assert.equal(ack.body.ruleId, "sis.enrollment_mismatch_withdrawn");
+
+  const until = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+  const snooze = await feedback("lead-offer-stalled", { type: "Offer Stalled", action: "snooze", until });
+  assert.equal(snooze.body.until, until);
+
+  const fp = await feedback("lead-no-followup", {
+    type: FOLLOWUP,
+    action: "false_positive",
+    reason: "Counselor met the student at an open day",
+  });
+  assert.equal(fp.status, 201);
+
+  const all = await hawke.request("/feedback", { key: VIEWER_KEY });
+  assert.equal(all.body.count, 3);
+  const snoozed = await hawke.request("/feedback?action=snooze");
+  assert.deepEqual(snoozed.body.feedback.map((f) => f.leadId), ["lead-offer-stalled"]);
+
+  const timeline = await hawke.request("/leads/lead-withdrawn/anomalies");
+  assert.equal(timeline.body.anomalies[0].feedback.by, "Jordan");
+});
+
+test("suppressed anomalies are reported but not written back", async () => {
+  hawke.mock.reset();
+  second = await hawke.scan();
+
+  assert.deepEqual(second.suppressed, { acknowledged: 1, snoozed: 1, false_positive: 1 });
+  assert.equal(anomaliesFor(second, "lead-withdrawn")["sis.enrollment_mismatch_withdrawn"].feedback.action, "acknowledged");
+  assert.equal(second.write_back.suppressed, 2);
+
+  // A false positive counts as not firing, so the flag written for it clears
+  assert.equal(second.write_back.resolved, 1);
+  assert.deepEqual(second.resolved_leads.map((l) => l.leadId), ["lead-no-followup"]);
+});
+
+test("false positives lower the rule's reported confidence", async () => {
+  const { body } = await hawke.request("/feedback/rules");
+  const rule = body.rules.find((r) => r.ruleId === "crm.application_completed_no_followup");
+  assert.equal(rule.flagged, 2);
+  assert.equal(rule.false_positives, 1);
+  assert.equal(rule.false_positive_rate_pct, 50);
+  assert.equal(rule.confidence, 88);
+  assert.equal(rule.adjusted_confidence, 44);
+
+  const combo = anomaliesFor(second, "lead-combo")["crm.application_completed_no_followup"];
+  assert.equal(combo.confidence, 44);
+  assert.equal(combo.ruleConfidence, 88);
+});
+
+test("feedback can be withdrawn and lapses when the anomaly clears", async () => {
+  const removed = await hawke.request(
+    `/leads/lead-withdrawn/feedback?type=${encodeURIComponent("Enrollment Status Mismatch")}`,
+    { method: "DELETE", key: COUNSELOR_KEY }
+  );
+  assert.equal(removed.status, 200);
+  const again = await hawke.request(
+    `/leads/lead-withdrawn/feedback?type=${encodeURIComponent("Enrollment Status Mismatch")}`,
+    { method: "DELETE", key: COUNSELOR_KEY }
+  );
+  assert.equal(again.status, 404);
+
+  await feedback("lead-suspension", { type: "Academic Suspension", action: "acknowledge" });
+  hawke.mock.fixtures.sis.find((r) => r.prospect_id === "lead-suspension").academic_standing = "Good Standing";
+  await hawke.scan();
+
+  const { body } = await hawke.request("/feedback");
+  assert.deepEqual(body.feedback.map((f) => f.leadId).sort(), ["lead-no-followup", "lead-offer-stalled"]);
+});
+
+test("concurrent feedback from the dashboard is all kept", async () => {
+  const busy = await startHawke();
+  try {
+    const { anomalies } = await busy.scan();
+    const posts = anomalies.map((a) =>
+      busy.request(`/leads/${a.leadId}/feedback`, {
+        method: "POST",
+        body: { type: a.type, action: "acknowledge" },
+        key: COUNSELOR_KEY,
+      })
+    );
+    const statuses = (await Promise.all(posts)).map((res) => res.status);
+    assert.ok(anomalies.length >= 10);
+    assert.deepEqual(new Set(statuses), new Set([201]));
+
+    const { status, body } = await busy.request("/feedback");
+    assert.equal(status, 200);
+    assert.equal(body.count, anomalies.length);
+    assert.equal((await busy.scan()).suppressed.acknowledged, anomalies.length);
+  } finally {
+    await busy.close();
+  }
+});
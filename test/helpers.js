@@ -0,0 +1,88 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createMockServer } from "../mock/server.js";
+
+export const OPERATOR_KEY = "test-operator-key";
+export const COUNSELOR_KEY = "test-counselor-key";
+export const VIEWER_KEY = "test-viewer-key";
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+let instances = 0;
+
+// Boots the mock upstreams, points Hawke at them via env, then imports the
+// app. index.js reads its config at import time, so every call imports a
+// fresh copy of the module (the query string gives it its own instance).
+export async function startHawke(env = {}) {
+  // Hawke logs every step; keep the TAP stream readable unless asked for logs
+  if (!process.env.HAWKE_TEST_VERBOSE) {
+    for (const level of ["log", "warn", "error"]) console[level] = () => {};
+  }
+
+  const mock = createMockServer();
+  const mockServer = await listen(mock.app);
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "hawke-test-"));
+
+  Object.assign(process.env, {
+    LS_BASE_URL: mockUrl,
+    LS_ACCESS_KEY: "test-access-key",
+    LS_SECRET_KEY: "test-secret-key",
+    MAVIS_BASE_URL: `${mockUrl}/mavis`,
+    MAVIS_API_KEY: "test-mavis-key",
+    OPENAI_BASE_URL: `${mockUrl}/openai/v1`,
+    OPENAI_API_KEY: "test-openai-key",
+    HAWKE_DATA_DIR: dataDir,
+    HAWKE_API_KEYS: `${OPERATOR_KEY}:operator,${COUNSELOR_KEY}:counselor,${VIEWER_KEY}:viewer`,
+    HAWKE_UPSTREAM_RETRY_BASE_MS: "1",
+    ...env,
+  });
+
+  const { default: app } = await import(`../index.js?instance=${++instances}`);
+  const server = await listen(app);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(urlPath, { method = "GET", body, key = OPERATOR_KEY, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { "Content-Type": "application/json", "X-API-Key": key, ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    mock,
+    baseUrl,
+    dataDir,
+    request,
+    // Runs a scan synchronously and returns the result body
+    async scan(query = "") {
+      const res = await request(`/run-intelligence?wait=true${query}`, { method: "POST" });
+      if (res.status !== 200) throw new Error(`Scan failed: ${res.status} ${JSON.stringify(res.body)}`);
+      return res.body;
+    },
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await new Promise((resolve) => mockServer.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// anomalies for one lead, keyed by ruleId
+export function anomaliesFor(result, leadId) {
+  return Object.fromEntries(
+    result.anomalies.filter((a) => a.leadId === leadId).map((a) => [a.ruleId, a])
+  );
+}
+
+export function upstreamCalls(mock, pathName) {
+  return mock.requests.filter((r) => r.path === pathName);
+}
@@ -0,0 +1,94 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, OPERATOR_KEY } from "./helpers.js";
+
+const SIS_PATH = "/mavis/rows/query";
+
+let hawke;
+let jobId;
+
+before(async () => {
+  hawke = await startHawke();
+});
+
+after(() => hawke.close());
+
+// Reads an SSE stream until the server ends it and parses each event
+async function readEvents(id, headers = {}) {
+  const res = await fetch(`${hawke.baseUrl}/jobs/${id}/events`, {
+    headers: { "X-API-Key": OPERATOR_KEY, ...headers },
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  const text = await res.text();
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const fields = Object.fromEntries(block.split("\n").map((line) => line.split(/: (.*)/s).slice(0, 2)));
+      return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+async function waitForJob(id) {
+  for (let i = 0; i < 200; i++) {
+    const { body } = await hawke.request(`/jobs/${id}`);
+    if (body.status !== "running") return body;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`Timed out waiting for job ${id}`);
+}
+
+test("a run can't start while another is active", async () => {
+  // Hold the scan at its first upstream call so it is still running
+  hawke.mock.delayNext(SIS_PATH, 300);
+  const started = await hawke.request("/run-intelligence", { method: "POST" });
+  assert.equal(started.status, 202);
+  jobId = started.body.jobId;
+  assert.equal(started.body.eventsUrl, `/jobs/${jobId}/events`);
+
+  const second = await hawke.request("/run-intelligence", { method: "POST" });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.running.jobId, jobId);
+  const lead = await hawke.request("/leads/lead-withdrawn/evaluate", { method: "POST" });
+  assert.equal(lead.status, 409);
+
+  // Streamed live from here until the job ends
+  const events = await readEvents(jobId);
+  assert.equal(events.at(-1).type, "complete");
+  assert.equal(events.at(-1).data.status, "completed");
+});
+
+test("GET /jobs/:id reports status, progress and the result", async () => {
+  const job = await waitForJob(jobId);
+  assert.equal(job.status, "completed");
+  assert.equal(job.trigger, "api");
+  assert.ok(job.finishedAt >= job.createdAt);
+  assert.equal(job.progress.step, "ai");
+  assert.equal(job.scanId, job.result.scan_id);
+  assert.equal(job.result.total_leads_scanned, 15);
+
+  assert.equal((await hawke.request("/jobs/no-such-job")).status, 404);
+});
+
+test("the event stream of a finished job replays every event, then ends", async () => {
+  const events = await readEvents(jobId);
+  assert.equal(events[0].id, 1);
+  assert.ok(events.every((e, i) => i === 0 || e.id > events[i - 1].id));
+  assert.deepEqual(
+    [...new Set(events.filter((e) => e.type === "progress").map((e) => e.data.step))],
+    ["sis", "leads", "evaluate", "ai"]
+  );
+  // Per-lead progress collapses into one entry (keeping the latest id)
+  assert.equal(events.filter((e) => e.data.step === "evaluate").length, 1);
+  assert.equal(events.at(-1).type, "complete");
+  assert.equal(events.at(-1).data.scanId, (await waitForJob(jobId)).scanId);
+});
+
+test("Last-Event-ID resumes a stream after the last event seen", async () => {
+  const all = await readEvents(jobId);
+  const lastSeen = all.at(-3).id;
+  const resumed = await readEvents(jobId, { "Last-Event-ID": String(lastSeen) });
+  assert.deepEqual(resumed, all.slice(-2));
+  assert.equal((await hawke.request("/jobs/no-such-job/events")).status, 404);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, VIEWER_KEY } from "./helpers.js";
+
+const SIS_PATH = "/mavis/rows/query";
+
+let hawke;
+let result;
+let lines;
+
+before(async () => {
+  hawke = await startHawke({ HAWKE_HEALTH_CACHE_SECONDS: "0" });
+});
+
+after(() => hawke.close());
+
+test("every log line of a scan is JSON carrying its correlation id", async () => {
+  const { log, error } = console;
+  lines = [];
+  console.log = console.error = (line) => lines.push(JSON.parse(line));
+  try {
+    result = await hawke.scan();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+
+  assert.ok(result.correlation_id);
+  const scanLines = lines.filter((l) => l.correlationId === result.correlation_id);
+  assert.deepEqual(
+    ["Scan started", "Scan complete", "Scan saved"].map((msg) => scanLines.some((l) => l.msg === msg)),
+    [true, true, true]
+  );
+  const detected = scanLines.find((l) => l.msg === "Anomaly detected");
+  assert.equal(detected.level, "info");
+  assert.ok(detected.leadId && detected.anomalyType && detected.severity);
+});
+
+test("GET /health/ready only reports pass/fail without a key", async () => {
+  const { status, body } = await hawke.request("/health/ready", { key: null });
+  assert.equal(status, 200);
+  assert.equal(body.status, "ready");
+  assert.deepEqual(body.checks, { leadsquared: { ok: true }, sis: { ok: true }, llm: { ok: true } });
+});
+
+test("GET /health/ready details each check for API key holders", async () => {
+  const { status, body } = await hawke.request("/health/ready", { key: VIEWER_KEY });
+  assert.equal(status, 200);
+  assert.equal(body.checks.leadsquared.ok, true);
+  assert.equal(body.checks.sis.sources.mavis.ok, true);
+  assert.equal(body.checks.sis.sources.mavis.rows, undefined);
+  assert.equal(body.checks.llm.provider, "openai");
+});
+
+test("a failing upstream makes the service not ready", async () => {
+  hawke.mock.failNext(SIS_PATH, 401, 1);
+  const { status, body } = await hawke.request("/health/ready", { key: VIEWER_KEY });
+  assert.equal(status, 503);
+  assert.equal(body.status, "not_ready");
+  assert.equal(body.checks.sis.ok, false);
+  assert.equal(body.checks.sis.sources.mavis.error, "HTTP 401");
+  assert.equal(body.checks.leadsquared.ok, true);
+});
+
+test("GET /metrics exposes scans, anomalies and upstream calls", async () => {
+  assert.equal((await hawke.request("/metrics", { key: null })).status, 401);
+
+  const res = await fetch(`${hawke.baseUrl}/metrics`, { headers: { "X-API-Key": VIEWER_KEY } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain/);
+  const text = await res.text();
+
+  assert.match(text, /^# TYPE hawke_scan_duration_seconds histogram$/m);
+  assert.match(text, /^hawke_scans_total\{trigger="api",status="completed"\} 1$/m);
+  assert.match(text, new RegExp(`^hawke_leads_scanned_total ${result.total_leads_scanned}$`, "m"));
+
+  const mismatches = result.anomalies.filter((a) => a.type === "Enrollment Status Mismatch");
+  assert.match(
+    text,
+    new RegExp(
+      `^hawke_last_scan_anomalies\\{type="Enrollment Status Mismatch",severity="${mismatches[0].severity}"\\} ${mismatches.length}$`,
+      "m"
+    )
+  );
+
+  assert.match(text, /^hawke_upstream_requests_total\{service="mavis",endpoint="Mavis rows\/query"\} \d+$/m);
+  assert.match(text, /^hawke_upstream_errors_total\{service="mavis",endpoint="Mavis rows\/query",status="401"\} 1$/m);
+  assert.match(
+    text,
+    /^hawke_upstream_request_duration_seconds_count\{service="leadsquared",endpoint="Lead\.Update"\} \d+$/m
+  );
+});
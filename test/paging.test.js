@@ -0,0 +1,76 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, anomaliesFor, upstreamCalls } from "./helpers.js";
+
+const SEARCH_PATH = "/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter";
+const ACTIVITIES_PATH = "/ProspectActivity.svc/Retrieve";
+const NO_FOLLOWUP = "crm.application_completed_no_followup";
+
+let hawke;
+
+// Tiny pages so the fixtures span several of them
+before(async () => {
+  hawke = await startHawke({
+    LS_LEADS_PAGE_SIZE: "2",
+    LS_LEADS_MAX_PAGES: "3",
+    LS_ACTIVITIES_PAGE_SIZE: "1",
+    LS_ACTIVITIES_MAX_PAGES: "2",
+  });
+});
+
+after(() => hawke.close());
+
+function stageStats(result, stage) {
+  return result.stages.find((s) => s.stage === stage);
+}
+
+test("lead search reads every page of a stage up to the page cap", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan("&dryRun=true");
+  assert.equal(result.total_leads_scanned, 15);
+
+  const pageIndexes = upstreamCalls(hawke.mock, SEARCH_PATH).map((c) => c.body.Paging.PageIndex);
+  assert.deepEqual(pageIndexes, [1, 2, 3, 1, 2, 3, 1, 2, 3]);
+
+  // 5 leads end on a short third page; 6 fill all three, so more may exist
+  const { activitiesTruncated, ...pending } = stageStats(result, "Application Pending");
+  assert.deepEqual(pending, { stage: "Application Pending", pages: 3, records: 5, students: 5, truncated: false });
+  assert.equal(activitiesTruncated, 0);
+  const initiated = stageStats(result, "Engagement Initiated");
+  assert.equal(initiated.students, 6);
+  assert.equal(initiated.truncated, true);
+});
+
+test("activity history is read past the first page", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan("&dryRun=true");
+
+  // The counselor call sits on the second page
+  const offsets = upstreamCalls(hawke.mock, ACTIVITIES_PATH)
+    .filter((c) => c.query.leadId === "lead-followed-up")
+    .map((c) => c.body.Paging.Offset);
+  assert.deepEqual(offsets, ["0", "1"]);
+  assert.equal(anomaliesFor(result, "lead-followed-up")[NO_FOLLOWUP], undefined);
+  assert.ok(anomaliesFor(result, "lead-no-followup")[NO_FOLLOWUP]);
+});
+
+test("a truncated activity history skips activity-absence rules", async () => {
+  const history = hawke.mock.fixtures.activities["lead-no-followup"];
+  history.push({ EventName: "Email Opened", CreatedOn: "2026-01-02 00:00:00" });
+  history.push({ EventName: "Email Opened", CreatedOn: "2026-01-01 00:00:00" });
+  try {
+    const result = await hawke.scan("&dryRun=true");
+    assert.equal(anomaliesFor(result, "lead-no-followup")[NO_FOLLOWUP], undefined);
+    assert.equal(stageStats(result, "Application Completed").activitiesTruncated, 1);
+  } finally {
+    history.splice(1);
+  }
+});
+
+test("an activity fetch that fails counts as truncated", async () => {
+  hawke.mock.reset();
+  hawke.mock.failNext(ACTIVITIES_PATH, 500, 10);
+  const result = await hawke.scan("&dryRun=true&prospectIds=lead-no-followup");
+  assert.equal(anomaliesFor(result, "lead-no-followup")[NO_FOLLOWUP], undefined);
+  assert.equal(result.stages[0].activitiesTruncated, 1);
+});
@@ -0,0 +1,132 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, upstreamCalls, VIEWER_KEY } from "./helpers.js";
+
+const UPDATE_PATH = "/LeadManagement.svc/Lead.Update";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke();
+});
+
+after(() => hawke.close());
+
+async function pending() {
+  const { body } = await hawke.request("/proposals");
+  return Object.fromEntries(body.proposals.map((p) => [p.leadId, p]));
+}
+
+function review(id, decision, body = {}, key) {
+  return hawke.request(`/proposals/${id}/${decision}`, { method: "POST", body, key });
+}
+
+test("dry runs preview proposed stage fixes without queueing them", async () => {
+  const result = await hawke.scan("&dryRun=true");
+  const changes = Object.fromEntries(
+    result.proposals_preview.map((p) => [p.leadId, p.change])
+  );
+  assert.deepEqual(changes, {
+    "lead-withdrawn": { attribute: "ProspectStage", from: "Engagement Initiated", to: "Withdrawn" },
+    "lead-admitted": { attribute: "ProspectStage", from: "Application Completed", to: "Admitted" },
+    "lead-combo": { attribute: "ProspectStage", from: "Application Completed", to: "Withdrawn" },
+  });
+  assert.equal((await hawke.request("/proposals")).body.count, 0);
+});
+
+test("scans queue one pending proposal per lead", async () => {
+  const first = await hawke.scan();
+  assert.deepEqual(first.proposals, { created: 3, obsolete: 0, pending: 3 });
+
+  const second = await hawke.scan();
+  assert.deepEqual(second.proposals, { created: 0, obsolete: 0, pending: 3 });
+
+  const withdrawn = (await pending())["lead-withdrawn"];
+  assert.equal(withdrawn.anomalyType, "Enrollment Status Mismatch");
+  assert.match(withdrawn.reason, /SIS shows Withdrawn/);
+});
+
+test("approval applies the change through Lead.Update and records before/after", async () => {
+  const { "lead-withdrawn": proposal } = await pending();
+  assert.equal((await review(proposal.id, "approve", {}, VIEWER_KEY)).status, 403);
+
+  hawke.mock.reset();
+  hawke.mock.failNext(UPDATE_PATH, 400, 1);
+  const failed = await review(proposal.id, "approve");
+  assert.equal(failed.status, 502);
+  assert.equal((await hawke.request(`/proposals/${proposal.id}`)).body.status, "pending");
+
+  const approved = await review(proposal.id, "approve", { by: "Registrar", note: "Confirmed withdrawal" });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, "applied");
+  assert.equal(approved.body.reviewedBy, "Registrar");
+  assert.deepEqual(approved.body.change.before, { ProspectStage: "Engagement Initiated" });
+  assert.deepEqual(approved.body.change.after, { ProspectStage: "Withdrawn" });
+
+  const [, update, resolve] = upstreamCalls(hawke.mock, UPDATE_PATH);
+  assert.equal(update.query.leadId, "lead-withdrawn");
+  assert.deepEqual(update.body, [{ Attribute: "ProspectStage", Value: "Withdrawn" }]);
+
+  // Withdrawn is out of scope, so the lead's anomaly flag is cleared right away
+  assert.equal(approved.body.writeBack, "resolved");
+  assert.equal(resolve.query.leadId, "lead-withdrawn");
+  assert.deepEqual(resolve.body[0], { Attribute: "mx_AI_Anomaly_Status", Value: "Resolved" });
+  const timeline = await hawke.request("/leads/lead-withdrawn/anomalies");
+  assert.ok(timeline.body.anomalies.every((a) => a.status === "resolved"));
+
+  assert.equal((await review(proposal.id, "approve")).status, 409);
+});
+
+test("a lead changed since the proposal makes it stale", async () => {
+  const { "lead-combo": proposal } = await pending();
+  hawke.mock.fixtures.leads.find((l) => l.ProspectID === "lead-combo").ProspectStage = "Application Pending";
+
+  const res = await review(proposal.id, "approve");
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /now "Application Pending"/);
+  assert.equal((await hawke.request(`/proposals/${proposal.id}`)).body.status, "stale");
+});
+
+test("reviewed fixes are not proposed again; changed ones are", async () => {
+  const { "lead-admitted": proposal } = await pending();
+  const rejected = await review(proposal.id, "reject", { reason: "Student deferred" });
+  assert.equal(rejected.body.status, "rejected");
+  assert.equal(rejected.body.reviewNote, "Student deferred");
+
+  // Withdrawn (applied) and admitted (rejected) stay quiet; combo's stage moved,
+  // so it gets a fresh proposal from its new stage
+  const third = await hawke.scan();
+  assert.deepEqual(third.proposals, { created: 1, obsolete: 0, pending: 1 });
+  assert.equal((await pending())["lead-combo"].from, "Application Pending");
+
+  const history = await hawke.request("/proposals?status=all");
+  assert.deepEqual(history.body.proposals.map((p) => p.status).sort(), ["applied", "pending", "rejected", "stale"]);
+});
+
+test("a pending proposal whose mismatch clears becomes obsolete", async () => {
+  hawke.mock.fixtures.sis.find((r) => r.prospect_id === "lead-combo").enrollment_status = "Active";
+  const fourth = await hawke.scan();
+  assert.deepEqual(fourth.proposals, { created: 0, obsolete: 1, pending: 0 });
+});
+
+test("an approval holds the scan lock until it is done", async () => {
+  hawke.mock.fixtures.sis.find((r) => r.prospect_id === "lead-combo").enrollment_status = "Withdrawn";
+  await hawke.scan();
+  const { "lead-combo": proposal } = await pending();
+
+  hawke.mock.reset();
+  hawke.mock.delayNext("/LeadManagement.svc/Leads.GetById", 300);
+  const approval = review(proposal.id, "approve");
+  while (upstreamCalls(hawke.mock, "/LeadManagement.svc/Leads.GetById").length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  const scan = await hawke.request("/run-intelligence", { method: "POST" });
+  assert.equal(scan.status, 409);
+  assert.equal(scan.body.running.proposalId, proposal.id);
+  assert.equal((await review(proposal.id, "reject")).status, 409);
+
+  assert.equal((await approval).status, 200);
+  assert.equal((await hawke.request(`/proposals/${proposal.id}`)).body.status, "applied");
+  assert.equal((await hawke.request("/scheduler")).body.scanInProgress, null);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, anomaliesFor } from "./helpers.js";
+
+let hawke;
+let result;
+
+before(async () => {
+  hawke = await startHawke();
+  result = await hawke.scan("&dryRun=true");
+});
+
+after(() => hawke.close());
+
+test("scans only student leads across the target stages", () => {
+  assert.equal(result.total_leads_scanned, 15);
+  assert.ok(!result.anomalies.some((a) => a.leadId === "lead-partner"));
+});
+
+test("offer stalled fires when an offer is older than 14 days", () => {
+  const a = anomaliesFor(result, "lead-offer-stalled");
+  assert.deepEqual(Object.keys(a), ["crm.offer_stalled"]);
+  assert.equal(a["crm.offer_stalled"].severity, "High");
+  assert.equal(a["crm.offer_stalled"].confidence, 90);
+  assert.equal(a["crm.offer_stalled"].explanation, "Offer given 20 days ago but student not enrolled.");
+});
+
+test("application completed without counselor activity is flagged", () => {
+  const a = anomaliesFor(result, "lead-no-followup");
+  assert.deepEqual(Object.keys(a), ["crm.application_completed_no_followup"]);
+  assert.equal(a["crm.application_completed_no_followup"].type, "Application Completed – No Counselor Follow-up");
+});
+
+test("a counselor call clears the follow-up rule", () => {
+  assert.deepEqual(anomaliesFor(result, "lead-followed-up"), {});
+});
+
+test("application pending with no engagement is stalled", () => {
+  const a = anomaliesFor(result, "lead-pending-stalled");
+  assert.deepEqual(Object.keys(a), ["crm.application_pending_stalled"]);
+  assert.equal(a["crm.application_pending_stalled"].severity, "Medium");
+});
+
+test("high intent sources stuck in Engagement Initiated are flagged", () => {
+  const a = anomaliesFor(result, "lead-high-intent");
+  assert.deepEqual(Object.keys(a), ["crm.high_intent_no_movement"]);
+  assert.deepEqual(anomaliesFor(result, "lead-low-intent"), {});
+});
+
+test("SIS withdrawn against an active CRM stage is critical", () => {
+  const a = anomaliesFor(result, "lead-withdrawn");
+  assert.deepEqual(Object.keys(a), ["sis.enrollment_mismatch_withdrawn"]);
+  assert.equal(a["sis.enrollment_mismatch_withdrawn"].severity, "Critical");
+  assert.match(a["sis.enrollment_mismatch_withdrawn"].explanation, /CRM stage is "Engagement Initiated"/);
+});
+
+test("SIS admitted while CRM sits at Application Completed", () => {
+  const a = anomaliesFor(result, "lead-admitted");
+  assert.deepEqual(Object.keys(a), ["sis.enrollment_mismatch_admitted"]);
+  assert.match(a["sis.enrollment_mismatch_admitted"].explanation, /S-1002/);
+});
+
+test("tuition balance severity follows amount and aid status", () => {
+  const high = anomaliesFor(result, "lead-tuition-high")["sis.high_tuition_balance"];
+  assert.equal(high.severity, "High");
+  assert.equal(high.explanation, "$6200.50 balance. Aid status: Approved. Scholarship: $500.00.");
+
+  const denied = anomaliesFor(result, "lead-tuition-denied")["sis.high_tuition_balance"];
+  assert.equal(denied.severity, "Critical");
+});
+
+test("academic probation and suspension use the standing in the type", () => {
+  const probation = anomaliesFor(result, "lead-probation")["sis.academic_standing"];
+  assert.equal(probation.type, "Academic Probation");
+  assert.equal(probation.severity, "High");
+
+  const suspension = anomaliesFor(result, "lead-suspension")["sis.academic_standing"];
+  assert.equal(suspension.type, "Academic Suspension");
+  assert.equal(suspension.severity, "Critical");
+});
+
+test("enrolled students with zero credits are flagged", () => {
+  const a = anomaliesFor(result, "lead-zero-progress");
+  assert.deepEqual(Object.keys(a), ["sis.zero_progress"]);
+});
+
+test("every matching rule is reported, not just the first", () => {
+  const a = anomaliesFor(result, "lead-probation");
+  assert.deepEqual(Object.keys(a).sort(), ["sis.academic_standing", "sis.high_tuition_balance"]);
+});
+
+test("primary anomaly is the worst by severity, then confidence", () => {
+  const combo = anomaliesFor(result, "lead-combo");
+  assert.deepEqual(Object.keys(combo).sort(), [
+    "crm.application_completed_no_followup",
+    "sis.enrollment_mismatch_withdrawn",
+  ]);
+  assert.equal(combo["sis.enrollment_mismatch_withdrawn"].isPrimary, true);
+  assert.equal(combo["crm.application_completed_no_followup"].isPrimary, false);
+
+  // Both High — tuition (88) outranks probation (85) on confidence
+  const probation = anomaliesFor(result, "lead-probation");
+  assert.equal(probation["sis.high_tuition_balance"].isPrimary, true);
+  assert.equal(probation["sis.academic_standing"].isPrimary, false);
+});
+
+test("risk score combines every anomaly on the lead", () => {
+  const entry = result.student_risk.find((s) => s.leadId === "lead-combo");
+  // Critical 50 × 0.95 + High 30 × 0.88
+  assert.equal(entry.riskScore, 74);
+  assert.equal(entry.anomalyCount, 2);
+  assert.equal(result.student_risk[0].leadId, "lead-combo");
+});
+
+test("AI analysis is parsed from the model response", () => {
+  assert.equal(result.ai_analysis.riskSummary, "Mock risk summary.");
+  assert.equal(result.ai_analysis.rootCauses.length, 1);
+});
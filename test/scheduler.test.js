@@ -0,0 +1,161 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const CRON = "0 6 * * 1-5";
+const OPERATOR_KEY = "test-operator-key";
+
+// Scans log every step; keep the TAP stream readable unless asked for logs
+if (!process.env.HAWKE_TEST_VERBOSE) {
+  for (const level of ["log", "warn", "error"]) console[level] = () => {};
+}
+
+// LeadSquared stand-in that holds every request until released, so a scan
+// keeps the lock for as long as a test needs it
+const held = [];
+let released = false;
+const upstream = express();
+upstream.use((req, res) => {
+  if (released) return res.status(400).json({ Status: "Error", ExceptionMessage: "Released" });
+  held.push(res);
+});
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function until(check) {
+  for (let i = 0; i < 100; i++) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out");
+}
+
+let hawke;
+let server;
+let upstreamServer;
+let baseUrl;
+let dataDir;
+let parseCron;
+let nextCronTime;
+
+before(async () => {
+  upstreamServer = await listen(upstream);
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "hawke-scheduler-"));
+  Object.assign(process.env, {
+    LS_BASE_URL: `http://127.0.0.1:${upstreamServer.address().port}`,
+    HAWKE_DATA_DIR: dataDir,
+    HAWKE_SCAN_CRON: CRON,
+    HAWKE_UPSTREAM_RETRY_BASE_MS: "1",
+    HAWKE_API_KEYS: `${OPERATOR_KEY}:operator`,
+  });
+  // index.js reads its config at import time
+  hawke = await import("../index.js");
+  ({ parseCron, nextCronTime } = hawke);
+  server = await listen(hawke.default);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => upstreamServer.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function schedulerStatus() {
+  return (await fetch(`${baseUrl}/scheduler`, { headers: { "X-API-Key": OPERATOR_KEY } })).json();
+}
+
+// Cron runs in server local time; Friday 16 October 2026
+const at = (day, hour, minute) => new Date(2026, 9, day, hour, minute);
+
+function next(expression, from) {
+  return nextCronTime(parseCron(expression), from);
+}
+
+test("step fields", () => {
+  const cron = parseCron("*/15 * * * *");
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual(next("*/15 * * * *", at(16, 10, 7)), at(16, 10, 15));
+  assert.deepEqual(next("*/15 * * * *", at(16, 10, 45)), at(16, 11, 0));
+  assert.deepEqual([...parseCron("10-30/10 * * * *").minute], [10, 20, 30]);
+  assert.deepEqual([...parseCron("5/20 * * * *").minute], [5, 25, 45]);
+});
+
+test("range fields skip the weekend", () => {
+  assert.deepEqual(next("0 9-17 * * 1-5", at(16, 12, 0)), at(16, 13, 0));
+  assert.deepEqual(next("0 9-17 * * 1-5", at(16, 17, 30)), at(19, 9, 0));
+});
+
+test("list fields", () => {
+  assert.deepEqual(next("30 6,18 * * *", at(16, 7, 0)), at(16, 18, 30));
+  assert.deepEqual(next("30 6,18 * * *", at(16, 18, 30)), at(17, 6, 30));
+  assert.deepEqual(next("0 8 * * 0,6", at(16, 9, 0)), at(17, 8, 0));
+});
+
+test("the next run is always after the start, on a whole minute", () => {
+  const from = new Date(2026, 9, 16, 10, 15, 20, 500);
+  assert.deepEqual(next("* * * * *", from), at(16, 10, 16));
+  assert.deepEqual(next("15 10 * * *", at(16, 10, 15)), at(17, 10, 15));
+});
+
+test("day-of-week 7 is Sunday, and restricted day fields match either", () => {
+  assert.deepEqual(next("0 6 * * 7", at(16, 0, 0)), at(18, 6, 0));
+  // 1st of the month or any Monday, whichever comes first
+  assert.deepEqual(next("0 0 1 * 1", at(16, 0, 0)), at(19, 0, 0));
+  assert.deepEqual(next("0 0 1 * 1", at(27, 0, 0)), new Date(2026, 10, 1));
+});
+
+test("an expression that never fires has no next run", () => {
+  assert.equal(next("0 0 31 2 *", at(16, 0, 0)), null);
+});
+
+test("invalid expressions are rejected", () => {
+  assert.throws(() => parseCron("0 6 * *"), /must have 5 fields/);
+  assert.throws(() => parseCron("0 6 * * * *"), /must have 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid cron minute field "60"/);
+  assert.throws(() => parseCron("0 24 * * *"), /Invalid cron hour field/);
+  assert.throws(() => parseCron("0 0 0 * *"), /Invalid cron dayOfMonth field/);
+  assert.throws(() => parseCron("0 0 * 13 *"), /Invalid cron month field/);
+  assert.throws(() => parseCron("0 0 * * 8"), /Invalid cron dayOfWeek field/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid cron minute field/);
+  assert.throws(() => parseCron("30-10 * * * *"), /Invalid cron minute field/);
+  assert.throws(() => parseCron("x * * * *"), /Invalid cron minute field/);
+});
+
+test("a scheduled run is skipped while another scan holds the lock", async () => {
+  hawke.startScheduler();
+  let status = await schedulerStatus();
+  assert.equal(status.enabled, true);
+  assert.equal(status.cron, CRON);
+  assert.equal(status.nextRunAt, nextCronTime(parseCron(CRON)).toISOString());
+  assert.equal(status.lastRun, null);
+
+  const scan = fetch(`${baseUrl}/run-intelligence`, {
+    method: "POST",
+    headers: { "X-API-Key": OPERATOR_KEY },
+  });
+  await until(() => held.length > 0);
+  await hawke.runScheduledScan();
+
+  status = await schedulerStatus();
+  assert.equal(status.lastRun.status, "skipped");
+  assert.ok(status.scanInProgress);
+  assert.equal(status.nextRunAt, nextCronTime(parseCron(CRON)).toISOString());
+
+  // Once the API scan lets go, the next scheduled run goes ahead
+  released = true;
+  for (const res of held) res.status(400).json({ Status: "Error", ExceptionMessage: "Released" });
+  await scan;
+  await until(async () => !(await schedulerStatus()).scanInProgress);
+  await hawke.runScheduledScan();
+  status = await schedulerStatus();
+  assert.notEqual(status.lastRun.status, "skipped");
+  assert.ok(status.lastRun.finishedAt >= status.lastRun.startedAt);
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, anomaliesFor, upstreamCalls } from "./helpers.js";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke();
+});
+
+after(() => hawke.close());
+
+test("lead type and stage are filtered by the search query, not client-side", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan("&dryRun=true");
+  assert.equal(result.full_scan, true);
+
+  const calls = upstreamCalls(hawke.mock, "/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter");
+  assert.equal(calls.length, 3);
+  const { Conditions } = JSON.parse(calls[0].body.AdvancedSearch);
+  assert.deepEqual(
+    Conditions.map((c) => c.RowCondition.map((r) => `${r.LSO}=${r.RSO}`)),
+    [["ProspectStage=Engagement Initiated"], ["LeadType=OT_2"]]
+  );
+});
+
+test("scope narrows stages and sources", async () => {
+  const result = await hawke.scan(
+    "&dryRun=true&stages=Engagement Initiated&sources=Website"
+  );
+  assert.equal(result.full_scan, false);
+  assert.deepEqual(result.scope.stages, ["Engagement Initiated"]);
+  assert.equal(result.total_leads_scanned, 2);
+  assert.ok(anomaliesFor(result, "lead-high-intent")["crm.high_intent_no_movement"]);
+});
+
+test("scope in the body can widen lead types", async () => {
+  const res = await hawke.request("/run-intelligence?wait=true&dryRun=true", {
+    method: "POST",
+    body: { scope: { stages: ["Engagement Initiated"], leadTypes: ["OT_1", "OT_2"] } },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total_leads_scanned, 7);
+});
+
+test("an empty scope is rejected", async () => {
+  const res = await hawke.request("/run-intelligence", {
+    method: "POST",
+    body: { scope: { stages: [] } },
+  });
+  assert.equal(res.status, 400);
+});
+
+test("a scoped scan is saved to history but does not replace /last-scan", async () => {
+  const full = await hawke.scan();
+  const scoped = await hawke.scan("&prospectIds=lead-withdrawn");
+  assert.equal(scoped.total_leads_scanned, 1);
+  assert.ok(scoped.scan_id);
+
+  const last = await hawke.request("/last-scan");
+  assert.equal(last.body.scan_id, full.scan_id);
+  const history = await hawke.request(`/scans/${scoped.scan_id}`);
+  assert.equal(history.status, 200);
+});
+
+test("POST /leads/:id/evaluate runs the pipeline for one lead", async () => {
+  hawke.mock.reset();
+  const res = await hawke.request("/leads/lead-tuition-high/evaluate?dryRun=true", {
+    method: "POST",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total_leads_scanned, 1);
+  assert.deepEqual(Object.keys(anomaliesFor(res.body, "lead-tuition-high")), [
+    "sis.high_tuition_balance",
+  ]);
+  assert.equal(upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update").length, 0);
+});
+
+test("evaluating an unknown lead returns 404", async () => {
+  const res = await hawke.request("/leads/lead-missing/evaluate", { method: "POST" });
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, VIEWER_KEY } from "./helpers.js";
+
+const BALANCE = "High Tuition Balance";
+
+let hawke;
+let first;
+
+before(async () => {
+  hawke = await startHawke({ HAWKE_SIMULATION_MIN_OBSERVATIONS: "2" });
+});
+
+after(() => hawke.close());
+
+function simulate(interventions, extra = {}, key) {
+  return hawke.request("/simulate", { method: "POST", body: { interventions, ...extra }, key });
+}
+
+test("there is nothing to simulate before the first saved scan", async () => {
+  const res = await simulate([{ type: BALANCE, coverage: 50 }]);
+  assert.equal(res.status, 404);
+});
+
+test("interventions are applied to the scan's actual leads", async () => {
+  first = await hawke.scan();
+  const { status, body } = await simulate([{ type: BALANCE, coverage: 100 }]);
+  assert.equal(status, 200);
+  assert.equal(body.scan_id, first.scan_id);
+
+  const balances = first.anomalies.filter((a) => a.type === BALANCE);
+  const [plan] = body.interventions;
+  assert.equal(plan.basis, "assumed");
+  assert.equal(plan.resolution_rate, 100);
+  assert.equal(plan.eligible, balances.length);
+  assert.equal(plan.reached, balances.length);
+  assert.deepEqual(plan.leads.map((l) => l.leadId).sort(), balances.map((a) => a.leadId).sort());
+
+  assert.equal(body.current.anomalies, first.anomalies_detected);
+  assert.equal(body.projected.anomalies, first.anomalies_detected - balances.length);
+
+  // Priya still has Academic Probation, so only the other balance leads clear
+  assert.equal(body.current.leads_flagged, first.leads_flagged);
+  assert.equal(body.projected.leads_flagged, first.leads_flagged - (balances.length - 1));
+
+  const cleared = balances.filter((a) => a.leadId !== "lead-probation");
+  const clearedTuition = cleared.reduce((sum, a) => sum + a.tuitionBalance, 0);
+  assert.ok(body.current.at_risk_tuition > clearedTuition);
+  assert.equal(body.projected.at_risk_tuition, round2(body.current.at_risk_tuition - clearedTuition));
+});
+
+test("partial coverage reaches the highest-risk leads first", async () => {
+  const { body } = await simulate([{ type: BALANCE, coverage: 50 }]);
+  const [plan] = body.interventions;
+  assert.equal(plan.reached, Math.round(plan.eligible / 2));
+  const scores = plan.leads.map((l) => l.riskScore);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  assert.equal(body.projected.anomalies, first.anomalies_detected - plan.reached);
+});
+
+test("resolution rates come from past scans once there is enough history", async () => {
+  hawke.mock.fixtures.sis.find((r) => r.prospect_id === "lead-tuition-high").tuition_balance = "0";
+  const second = await hawke.scan();
+
+  const { body } = await simulate([{ type: BALANCE, coverage: 100 }]);
+  const [plan] = body.interventions;
+  assert.equal(body.scan_id, second.scan_id);
+  assert.equal(body.history.scans, 2);
+  assert.equal(plan.basis, "history");
+  assert.equal(plan.observations, 3);
+  assert.equal(plan.resolution_rate, 33.3);
+  assert.equal(plan.projected_resolved, round1(plan.reached / 3));
+
+  const override = await simulate([{ type: BALANCE, coverage: 100, effectiveness: 80 }]);
+  assert.equal(override.body.interventions[0].basis, "override");
+  assert.equal(override.body.interventions[0].resolution_rate, 80);
+});
+
+test("an older scan can be simulated explicitly", async () => {
+  const { body } = await simulate([{ type: BALANCE, coverage: 0 }], { scanId: first.scan_id });
+  assert.equal(body.scan_id, first.scan_id);
+  assert.equal(body.improvement_pct, 0);
+  assert.equal(body.projected.anomalies, first.anomalies_detected);
+});
+
+test("invalid interventions are rejected", async () => {
+  for (const interventions of [
+    [],
+    [{ type: "Not A Real Anomaly", coverage: 10 }],
+    [{ type: BALANCE, coverage: 150 }],
+    [{ type: BALANCE, coverage: 10 }, { type: BALANCE, coverage: 20 }],
+  ]) {
+    const res = await simulate(interventions);
+    assert.equal(res.status, 400, JSON.stringify(interventions));
+  }
+});
+
+test("viewers do not see tuition figures", async () => {
+  const { body } = await simulate([{ type: BALANCE, coverage: 100 }], {}, VIEWER_KEY);
+  assert.equal(body.current.at_risk_tuition, "[redacted]");
+  assert.equal(body.projected.at_risk_tuition, "[redacted]");
+  assert.ok(body.interventions[0].leads.every((l) => l.tuitionBalance === "[redacted]"));
+});
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,172 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const OPERATOR_KEY = "test-operator-key";
+
+// Columns named like a registrar export, not the canonical SIS fields. The
+// quoted Notes cell spans two lines and the file uses CRLF and a BOM.
+const NORTH_CAMPUS_CSV = [
+  "\uFEFFStudent Email,Student ID,Notes,Enrollment Status,Balance Due,Aid Status,Exported At",
+  'TARA.Tuition@example.edu ,S-3001,"Called twice,\nno answer",Enrolled,"$6,200.50","Approved, ""pending"" review",2026-10-01 08:00:00',
+  "",
+].join("\r\n");
+
+// Scans log every step; keep the TAP stream readable unless asked for logs
+if (!process.env.HAWKE_TEST_VERBOSE) {
+  for (const level of ["log", "warn", "error"]) console[level] = () => {};
+}
+
+// Registrar API stand-in for the REST adapter, rows nested under data.students
+let registrar = [
+  { emailAddress: "wendy.withdrawn@example.edu", id: "R-1", status: "Withdrawn" },
+  // Same student as the CSV row, differently cased; the CSV is listed first and wins
+  { emailAddress: "tara.tuition@example.edu", id: "R-2", status: "Withdrawn" },
+  { id: "R-3", status: "Active" },
+];
+const upstream = express();
+upstream.get("/students", (req, res) => res.json({ data: { students: registrar } }));
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+let hawke;
+let server;
+let upstreamServer;
+let baseUrl;
+let dir;
+
+function writeConfig(name, config) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+before(async () => {
+  upstreamServer = await listen(upstream);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "hawke-sis-"));
+  const csvPath = path.join(dir, "north-campus.csv");
+  fs.writeFileSync(csvPath, NORTH_CAMPUS_CSV);
+
+  Object.assign(process.env, {
+    HAWKE_DATA_DIR: dir,
+    HAWKE_API_KEYS: `${OPERATOR_KEY}:operator`,
+    REGISTRAR_URL: `http://127.0.0.1:${upstreamServer.address().port}`,
+    HAWKE_SIS_CONFIG: writeConfig("sis.json", {
+      joinKey: "email",
+      sources: [
+        {
+          name: "north-campus",
+          type: "csv",
+          path: csvPath,
+          fieldMap: {
+            email: "Student Email",
+            student_id: "Student ID",
+            enrollment_status: "Enrollment Status",
+            tuition_balance: "Balance Due",
+            financial_aid_status: "Aid Status",
+            last_updated_timestamp: "Exported At",
+          },
+        },
+        {
+          name: "registrar-api",
+          type: "rest",
+          url: "${REGISTRAR_URL}/students",
+          rowsPath: "data.students",
+          fieldMap: { email: "emailAddress", student_id: "id", enrollment_status: "status" },
+        },
+      ],
+    }),
+  });
+  // index.js reads its config at import time
+  hawke = await import("../index.js");
+  server = await listen(hawke.default);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => upstreamServer.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function sisData() {
+  const res = await fetch(`${baseUrl}/sis-data`, { headers: { "X-API-Key": OPERATOR_KEY } });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  return { ...body, byStudent: Object.fromEntries(body.records.map((r) => [r.student_id, r])) };
+}
+
+test("parseCSV handles quoted fields, escaped quotes and embedded newlines", () => {
+  const rows = hawke.parseCSV('\uFEFFname,note\r\n"Doe, Jane","said ""hi""\nthen left"\r\n\r\nSmith\n');
+  assert.deepEqual(rows, [
+    { name: "Doe, Jane", note: 'said "hi"\nthen left' },
+    { name: "Smith", note: "" },
+  ]);
+  assert.deepEqual(hawke.parseCSV("a;b\n1;2,5", ";"), [{ a: "1", b: "2,5" }]);
+});
+
+test("CSV rows are mapped onto the canonical SIS fields", async () => {
+  const { byStudent } = await sisData();
+  const { sis_source, email, enrollment_status, tuition_balance, financial_aid_status, last_updated_timestamp } =
+    byStudent["S-3001"];
+  assert.deepEqual(
+    { sis_source, email, enrollment_status, tuition_balance, financial_aid_status, last_updated_timestamp },
+    {
+      sis_source: "north-campus",
+      email: "TARA.Tuition@example.edu",
+      enrollment_status: "Enrolled",
+      tuition_balance: "6200.50",
+      financial_aid_status: 'Approved, "pending" review',
+      last_updated_timestamp: "2026-10-01 08:00:00",
+    }
+  );
+  assert.equal(byStudent["S-3001"].prospect_id, null);
+});
+
+test("REST rows are read from rowsPath and keyed on the join key", async () => {
+  const { count, byStudent } = await sisData();
+  assert.equal(byStudent["R-1"].sis_source, "registrar-api");
+  assert.equal(byStudent["R-1"].enrollment_status, "Withdrawn");
+  // Email keys ignore case and whitespace, so R-2 collides with the CSV row;
+  // R-3 has no email to join on
+  assert.equal(byStudent["R-2"], undefined);
+  assert.equal(byStudent["R-3"], undefined);
+  assert.equal(count, 2);
+});
+
+test("a REST source whose rowsPath misses is skipped, not fatal", async () => {
+  const rows = registrar;
+  registrar = { total: 0 };
+  try {
+    const { count, byStudent } = await sisData();
+    assert.equal(count, 1);
+    assert.ok(byStudent["S-3001"]);
+  } finally {
+    registrar = rows;
+  }
+});
+
+test("an unknown join key or fieldMap field is rejected at startup", async () => {
+  const config = process.env.HAWKE_SIS_CONFIG;
+  try {
+    process.env.HAWKE_SIS_CONFIG = writeConfig("bad-join.json", {
+      joinKey: "studentId",
+      sources: [{ type: "mavis" }],
+    });
+    await assert.rejects(import("../index.js?bad-join"), /joinKey must be one of prospectId, email/);
+
+    process.env.HAWKE_SIS_CONFIG = writeConfig("bad-field.json", {
+      sources: [{ name: "north", type: "csv", path: "x.csv", fieldMap: { gpa: "GPA" } }],
+    });
+    await assert.rejects(import("../index.js?bad-field"), /SIS source "north": unknown field "gpa"/);
+  } finally {
+    process.env.HAWKE_SIS_CONFIG = config;
+  }
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startHawke, anomaliesFor } from "./helpers.js";
+
+let hawke;
+let result;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ten earlier Application Pending leads from Trade Show, mostly 1–5 days in stage
+function seedBaselines(dataDir) {
+  const samples = [1, 2, 2, 3, 3, 3, 4, 4, 5, 2].map((days, i) => ({
+    leadId: `hist-${i}`,
+    stage: "Application Pending",
+    source: "Trade Show",
+    daysInStage: days,
+    offerAge: null,
+    engagementScore: null,
+  }));
+  const snapshot = {
+    scanId: "20260101T000000-000000",
+    timestamp: new Date(Date.now() - 8 * DAY_MS).toISOString(),
+    stageCounts: {
+      "Engagement Initiated": 6,
+      "Application Pending": 3,
+      "Application Completed": 4,
+    },
+    samples,
+  };
+  fs.writeFileSync(
+    path.join(dataDir, "baselines.json"),
+    JSON.stringify({ snapshots: [snapshot] })
+  );
+}
+
+before(async () => {
+  hawke = await startHawke({ HAWKE_BASELINE_MIN_SAMPLES: "5" });
+  seedBaselines(hawke.dataDir);
+  result = await hawke.scan("&dryRun=true");
+});
+
+after(() => hawke.close());
+
+test("a lead far outside its stage + source baseline is flagged", () => {
+  const a = anomaliesFor(result, "lead-pending-stalled");
+  const outlier = a["stat.dwell_time_outlier"];
+  assert.equal(outlier.source, "Statistical");
+  assert.equal(outlier.severity, "High");
+  assert.equal(outlier.baseline.group, "Application Pending|Trade Show");
+  assert.equal(outlier.baseline.value, 12);
+  assert.equal(outlier.isPrimary, false);
+  assert.equal(a["crm.application_pending_stalled"].isPrimary, true);
+});
+
+test("leads inside the baseline and groups without enough samples are left alone", () => {
+  const flagged = result.anomalies.filter((a) => a.source === "Statistical");
+  assert.deepEqual(flagged.map((a) => a.leadId), ["lead-pending-stalled"]);
+  assert.equal(result.by_source.statistical, 1);
+});
+
+test("stage counts are compared week over week", () => {
+  assert.equal(result.cohort_anomalies.length, 1);
+  const [spike] = result.cohort_anomalies;
+  assert.equal(spike.stage, "Application Pending");
+  assert.equal(spike.previousCount, 3);
+  assert.equal(spike.currentCount, 5);
+  assert.equal(spike.changePct, 67);
+  assert.equal(spike.severity, "Medium");
+});
+
+test("statistical anomalies are never written back to the CRM", () => {
+  assert.ok(!result.write_back_preview.some((p) => p.anomalyType.startsWith("Unusual")));
+});
+
+test("only full, non-dry scans add a baseline snapshot", async () => {
+  let baselines = await hawke.request("/baselines");
+  assert.equal(baselines.body.snapshots, 1);
+
+  const scoped = await hawke.scan("&stages=Application Pending");
+  assert.deepEqual(scoped.cohort_anomalies, []);
+  baselines = await hawke.request("/baselines");
+  assert.equal(baselines.body.snapshots, 1);
+
+  await hawke.scan();
+  baselines = await hawke.request("/baselines");
+  assert.equal(baselines.body.snapshots, 2);
+  assert.equal(baselines.body.latest_stage_counts["Application Pending"], 5);
+  assert.ok(baselines.body.distributions.daysInStage["Application Pending|Trade Show"]);
+});
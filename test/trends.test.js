@@ -0,0 +1,87 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke } from "./helpers.js";
+
+let hawke;
+let first;
+let second;
+
+function sisRecord(prospectId, enrollmentStatus) {
+  return {
+    prospect_id: prospectId,
+    student_id: `S-${prospectId}`,
+    enrollment_status: enrollmentStatus,
+    academic_standing: "Good Standing",
+    credits_earned: 12,
+    tuition_balance: "0",
+    financial_aid_status: "Approved",
+    scholarship_amount: "0",
+    last_updated_timestamp: "2026-10-01 08:00:00",
+  };
+}
+
+before(async () => {
+  hawke = await startHawke();
+  first = await hawke.scan();
+
+  // Between scans: one lead clears, one escalates, one is flagged for the first time
+  const sis = hawke.mock.fixtures.sis;
+  sis.find((r) => r.prospect_id === "lead-withdrawn").enrollment_status = "Active";
+  sis.find((r) => r.prospect_id === "lead-healthy").enrollment_status = "Withdrawn";
+  sis.push(sisRecord("lead-high-intent", "Withdrawn"));
+  second = await hawke.scan();
+});
+
+after(() => hawke.close());
+
+test("the first scan has nothing to compare with", async () => {
+  const res = await hawke.request(`/scans/${first.scan_id}/diff`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.compared_with, null);
+});
+
+test("diff lists newly flagged, escalated and resolved leads", async () => {
+  const { body } = await hawke.request(`/scans/${second.scan_id}/diff`);
+  assert.equal(body.compared_with, first.scan_id);
+  assert.equal(body.partial, false);
+
+  assert.deepEqual(body.newly_flagged.map((l) => l.leadId), ["lead-healthy"]);
+  assert.equal(body.newly_flagged[0].severity, "Critical");
+
+  assert.equal(body.escalated.length, 1);
+  const [escalated] = body.escalated;
+  assert.equal(escalated.leadId, "lead-high-intent");
+  assert.equal(escalated.from, "Medium");
+  assert.equal(escalated.to, "Critical");
+  assert.deepEqual(escalated.addedTypes, ["Enrollment Status Mismatch"]);
+
+  assert.deepEqual(body.resolved.map((l) => l.leadId), ["lead-withdrawn"]);
+  assert.equal(body.summary.anomalies.delta, second.anomalies_detected - first.anomalies_detected);
+  assert.equal(body.summary.by_severity.critical.delta, 1);
+});
+
+test("an explicit comparison scan can be given", async () => {
+  const { body } = await hawke.request(`/scans/${first.scan_id}/diff?against=${second.scan_id}`);
+  assert.deepEqual(body.resolved.map((l) => l.leadId), ["lead-healthy"]);
+  assert.deepEqual(body.newly_flagged.map((l) => l.leadId), ["lead-withdrawn"]);
+});
+
+test("trends return full scans oldest first with counts by type", async () => {
+  const scoped = await hawke.scan("&prospectIds=lead-combo");
+
+  const { body } = await hawke.request("/trends");
+  assert.deepEqual(body.scans.map((s) => s.id), [first.scan_id, second.scan_id]);
+  assert.equal(body.scans[1].by_severity.critical, second.by_severity.critical);
+  assert.equal(body.scans[1].by_type["Enrollment Status Mismatch"], 3);
+
+  const all = await hawke.request("/trends?includeScoped=true");
+  assert.equal(all.body.scans.at(-1).id, scoped.scan_id);
+});
+
+test("a scoped scan only resolves leads it covered", async () => {
+  const scoped = await hawke.scan("&prospectIds=lead-combo");
+  const { body } = await hawke.request(`/scans/${scoped.scan_id}/diff`);
+  assert.equal(body.compared_with, second.scan_id);
+  assert.equal(body.partial, true);
+  assert.deepEqual(body.resolved, []);
+});
@@ -0,0 +1,159 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startHawke, upstreamCalls } from "./helpers.js";
+
+const SECRET = "test-webhook-secret";
+const FOLLOWUP = "Application Completed – No Counselor Follow-up";
+const UPDATE_PATH = "/LeadManagement.svc/Lead.Update";
+const SIS_PATH = "/mavis/rows/query";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke({
+    HAWKE_WEBHOOK_SECRET: SECRET,
+    HAWKE_WEBHOOK_DEBOUNCE_MS: "100",
+    HAWKE_WEBHOOK_MAX_WAIT_MS: "2000",
+  });
+});
+
+after(() => hawke.close());
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(JSON.stringify(body)).digest("hex")}`;
+}
+
+function deliver(event, body, signature = sign(body)) {
+  return hawke.request(`/webhooks/leadsquared?event=${event}`, {
+    method: "POST",
+    body,
+    key: null,
+    headers: signature ? { "X-Hawke-Signature": signature } : {},
+  });
+}
+
+// Resolves once `count` webhook evaluations have finished
+async function evaluations(count) {
+  for (let i = 0; i < 100; i++) {
+    const { body } = await hawke.request("/webhooks");
+    if (body.recent.length >= count && body.pending.length === 0) return body.recent;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${count} webhook evaluations`);
+}
+
+test("unsigned, mis-signed and malformed events are rejected", async () => {
+  const body = { ProspectID: "lead-no-followup" };
+  assert.equal((await deliver("lead_updated", body, null)).status, 401);
+  assert.equal((await deliver("lead_updated", body, sign(body, "wrong-secret"))).status, 401);
+  assert.equal((await deliver("lead_deleted", body)).status, 400);
+  assert.equal((await deliver("lead_updated", { FirstName: "Noah" })).status, 400);
+
+  const { body: status } = await hawke.request("/webhooks");
+  assert.equal(status.stats.rejected, 2);
+  assert.equal(status.pending.length, 0);
+});
+
+test("a burst of events on one lead collapses into one evaluation", async () => {
+  hawke.mock.reset();
+  const res = await deliver("lead_updated", { ProspectID: "lead-no-followup" });
+  assert.equal(res.status, 202);
+  assert.deepEqual(res.body.leads, ["lead-no-followup"]);
+  await deliver("lead_updated", { ProspectID: "lead-no-followup" });
+  await deliver("activity_posted", [{ RelatedProspectId: "lead-no-followup", EventName: "Email Opened" }]);
+
+  const [outcome] = await evaluations(1);
+  assert.equal(outcome.status, "evaluated");
+  assert.deepEqual(outcome.events, { lead_updated: 2, activity_posted: 1 });
+  assert.equal(outcome.primary, FOLLOWUP);
+  assert.equal(outcome.action, "updated");
+
+  assert.equal(upstreamCalls(hawke.mock, "/LeadManagement.svc/Leads.GetById").length, 1);
+  const updates = upstreamCalls(hawke.mock, UPDATE_PATH);
+  assert.deepEqual(updates.map((u) => u.query.leadId), ["lead-no-followup"]);
+
+  const timeline = await hawke.request("/leads/lead-no-followup/anomalies");
+  assert.equal(timeline.body.anomalies[0].status, "open");
+});
+
+test("a counselor activity resolves the anomaly against the cached SIS map", async () => {
+  hawke.mock.reset();
+  hawke.mock.fixtures.activities["lead-no-followup"].push({
+    EventName: "Outbound Phone Call Activity",
+    CreatedOn: new Date().toISOString().replace("T", " ").slice(0, 19),
+  });
+  await deliver("activity_posted", { RelatedProspectId: "lead-no-followup" });
+
+  const [outcome] = await evaluations(2);
+  assert.equal(outcome.action, "resolved");
+  assert.equal(outcome.primary, null);
+  assert.equal(upstreamCalls(hawke.mock, UPDATE_PATH).length, 1);
+  assert.equal(upstreamCalls(hawke.mock, SIS_PATH).length, 0);
+
+  const timeline = await hawke.request("/leads/lead-no-followup/anomalies");
+  assert.equal(timeline.body.anomalies[0].status, "resolved");
+});
+
+test("leads outside the scan scope are resolved, never flagged", async () => {
+  const partner = hawke.mock.fixtures.leads.find((l) => l.ProspectID === "lead-partner");
+  hawke.mock.reset();
+  await deliver("lead_updated", { ProspectID: "lead-partner" });
+  let [outcome] = await evaluations(3);
+  assert.equal(outcome.status, "out_of_scope");
+  assert.equal(outcome.action, "none");
+  assert.equal(upstreamCalls(hawke.mock, UPDATE_PATH).length, 0);
+
+  // Flagged while it was a student lead, then moved to another lead type
+  partner.LeadType = "OT_2";
+  await deliver("lead_updated", { ProspectID: "lead-partner" });
+  [outcome] = await evaluations(4);
+  assert.equal(outcome.status, "evaluated");
+  assert.equal(outcome.action, "updated");
+
+  partner.LeadType = "OT_1";
+  hawke.mock.reset();
+  await deliver("lead_updated", { ProspectID: "lead-partner" });
+  [outcome] = await evaluations(5);
+  assert.equal(outcome.status, "out_of_scope");
+  assert.equal(outcome.action, "resolved");
+  const [resolve] = upstreamCalls(hawke.mock, UPDATE_PATH);
+  assert.deepEqual(resolve.body[0], { Attribute: "mx_AI_Anomaly_Status", Value: "Resolved" });
+});
+
+test("events during a scan are evaluated once it finishes", async () => {
+  const started = await hawke.request("/run-intelligence", { method: "POST" });
+  assert.equal(started.status, 202);
+  await deliver("lead_updated", { ProspectID: "lead-withdrawn" });
+
+  const [outcome] = await evaluations(6);
+  const { body: job } = await hawke.request(`/jobs/${started.body.jobId}`);
+  assert.equal(job.status, "completed");
+  assert.ok(outcome.evaluatedAt >= job.finishedAt);
+
+  // The scan already wrote this lead's anomaly, so the webhook leaves it be
+  assert.equal(outcome.leadId, "lead-withdrawn");
+  assert.equal(outcome.action, "unchanged");
+});
+
+test("a flag from a scoped scan stays until the lead leaves that scope", async () => {
+  const partner = hawke.mock.fixtures.leads.find((l) => l.ProspectID === "lead-partner");
+  const scoped = await hawke.scan("&stages=Engagement Initiated&leadTypes=OT_1");
+  assert.ok(scoped.anomalies.some((a) => a.leadId === "lead-partner"));
+
+  hawke.mock.reset();
+  await deliver("lead_updated", { ProspectID: "lead-partner" });
+  let [outcome] = await evaluations(7);
+  assert.equal(outcome.status, "out_of_scope");
+  assert.equal(outcome.action, "none");
+  assert.equal(upstreamCalls(hawke.mock, UPDATE_PATH).length, 0);
+
+  partner.ProspectStage = "Lost";
+  try {
+    await deliver("lead_updated", { ProspectID: "lead-partner" });
+    [outcome] = await evaluations(8);
+    assert.equal(outcome.action, "resolved");
+  } finally {
+    partner.ProspectStage = "Engagement Initiated";
+  }
+});
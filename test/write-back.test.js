@@ -0,0 +1,171 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHawke, upstreamCalls } from "./helpers.js";
+
+let hawke;
+
+before(async () => {
+  hawke = await startHawke();
+});
+
+after(() => hawke.close());
+
+const FLAGGED_LEADS = 12;
+
+test("dry run previews payloads without writing to the CRM", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan("&dryRun=true");
+
+  assert.equal(result.dry_run, true);
+  assert.equal(result.scan_id, null);
+  assert.equal(upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update").length, 0);
+  assert.equal(upstreamCalls(hawke.mock, "/ProspectActivity.svc/Create").length, 0);
+  assert.equal(result.write_back_preview.length, FLAGGED_LEADS);
+
+  const combo = result.write_back_preview.find((p) => p.leadId === "lead-combo");
+  assert.equal(combo.action, "update");
+  assert.equal(combo.anomalyType, "Enrollment Status Mismatch");
+});
+
+test("a real scan writes the primary anomaly for each flagged lead", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan();
+
+  assert.equal(result.write_back.updated, FLAGGED_LEADS);
+  const updates = upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update");
+  const activities = upstreamCalls(hawke.mock, "/ProspectActivity.svc/Create");
+  assert.equal(updates.length, FLAGGED_LEADS);
+  assert.equal(activities.length, FLAGGED_LEADS);
+
+  const comboUpdate = updates.find((u) => u.query.leadId === "lead-combo");
+  assert.equal(comboUpdate.query.accessKey, "test-access-key");
+  const attrs = Object.fromEntries(comboUpdate.body.map((a) => [a.Attribute, a.Value]));
+  assert.equal(attrs.mx_AI_Anomaly_Status, "Active");
+  assert.equal(attrs.mx_Latest_Anomaly_Type, "Enrollment Status Mismatch");
+  assert.equal(attrs.mx_Latest_Anomaly_Severity, "Critical");
+  assert.equal(attrs.mx_Latest_Anomaly_Confidence, "95");
+  assert.match(attrs.mx_Last_Intelligence_Run, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+
+  // The lead's owner stays on the anomaly, out of the text written to the CRM
+  const followup = result.anomalies.find((a) => a.leadId === "lead-no-followup");
+  assert.equal(followup.ownerName, "Casey Counselor");
+  const followupUpdate = updates.find((u) => u.query.leadId === "lead-no-followup");
+  const followupActivity = activities.find((a) => a.body.RelatedProspectId === "lead-no-followup");
+  assert.ok(!JSON.stringify([followupUpdate.body, followupActivity.body]).includes("Casey"));
+
+  const comboActivity = activities.find((a) => a.body.RelatedProspectId === "lead-combo");
+  assert.equal(comboActivity.body.ActivityEvent, 211);
+  assert.equal(comboActivity.body.ActivityNote, "Agent Hawke: Enrollment Status Mismatch (Critical)");
+  assert.deepEqual(
+    comboActivity.body.Fields.map((f) => f.SchemaName),
+    ["mx_Custom_1", "mx_Custom_2", "mx_Custom_3", "mx_Custom_4"]
+  );
+});
+
+test("an unchanged open anomaly is not re-written", async () => {
+  hawke.mock.reset();
+  const result = await hawke.scan();
+
+  assert.equal(result.write_back.updated, 0);
+  assert.equal(result.write_back.skipped_unchanged, FLAGGED_LEADS);
+  assert.equal(upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update").length, 0);
+  assert.ok(result.anomalies.every((a) => a.occurrence === "recurring"));
+});
+
+test("a cleared anomaly is resolved in the CRM", async () => {
+  const record = hawke.mock.fixtures.sis.find((r) => r.prospect_id === "lead-withdrawn");
+  record.enrollment_status = "Active";
+  hawke.mock.reset();
+
+  const result = await hawke.scan();
+  record.enrollment_status = "Withdrawn";
+
+  assert.equal(result.write_back.resolved, 1);
+  assert.deepEqual(result.resolved_leads.map((l) => l.leadId), ["lead-withdrawn"]);
+
+  const [update] = upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update");
+  assert.equal(update.query.leadId, "lead-withdrawn");
+  assert.deepEqual(update.body[0], { Attribute: "mx_AI_Anomaly_Status", Value: "Resolved" });
+
+  const [activity] = upstreamCalls(hawke.mock, "/ProspectActivity.svc/Create");
+  assert.equal(activity.body.ActivityNote, "Agent Hawke: Enrollment Status Mismatch resolved");
+
+  const timeline = await hawke.request("/leads/lead-withdrawn/anomalies");
+  assert.equal(timeline.body.anomalies[0].status, "resolved");
+});
+
+test("a flagged lead that leaves the scan scope is resolved", async () => {
+  const lead = hawke.mock.fixtures.leads.find((l) => l.ProspectID === "lead-offer-stalled");
+  lead.ProspectStage = "Enrolled";
+  hawke.mock.reset();
+
+  const result = await hawke.scan();
+  assert.ok(!result.anomalies.some((a) => a.leadId === "lead-offer-stalled"));
+  const resolved = result.resolved_leads.find((l) => l.leadId === "lead-offer-stalled");
+  assert.deepEqual(resolved, {
+    leadId: "lead-offer-stalled",
+    name: "Olivia Offer",
+    previousType: "Offer Stalled",
+    leftScope: true,
+  });
+
+  const update = upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update").find(
+    (u) => u.query.leadId === "lead-offer-stalled"
+  );
+  assert.deepEqual(update.body[0], { Attribute: "mx_AI_Anomaly_Status", Value: "Resolved" });
+  const timeline = await hawke.request("/leads/lead-offer-stalled/anomalies");
+  assert.ok(timeline.body.anomalies.every((a) => a.status === "resolved"));
+
+  // Once resolved it is not looked up again
+  hawke.mock.reset();
+  await hawke.scan();
+  lead.ProspectStage = "Application Pending";
+  assert.equal(upstreamCalls(hawke.mock, "/LeadManagement.svc/Leads.GetById").length, 0);
+});
+
+test("a flag from a scoped scan is only resolved once the lead leaves that scope", async () => {
+  const lead = hawke.mock.fixtures.leads.find((l) => l.ProspectID === "lead-withdrawn");
+  const stage = lead.ProspectStage;
+  const updatesFor = () =>
+    upstreamCalls(hawke.mock, "/LeadManagement.svc/Lead.Update").filter((u) => u.query.leadId === "lead-withdrawn");
+  try {
+    lead.ProspectStage = "Enrolled";
+    hawke.mock.reset();
+    const scoped = await hawke.scan("&stages=Enrolled");
+    assert.ok(scoped.anomalies.some((a) => a.leadId === "lead-withdrawn"));
+
+    // Outside DEFAULT_SCOPE but still in the scope that flagged it
+    const full = await hawke.scan();
+    assert.ok(!full.resolved_leads.some((l) => l.leadId === "lead-withdrawn"));
+    await hawke.scan("&stages=Enrolled");
+    assert.equal(updatesFor().length, 0);
+
+    lead.ProspectStage = "Lost";
+    const left = await hawke.scan();
+    assert.equal(left.resolved_leads.find((l) => l.leadId === "lead-withdrawn").leftScope, true);
+    assert.deepEqual(updatesFor()[0].body[0], { Attribute: "mx_AI_Anomaly_Status", Value: "Resolved" });
+  } finally {
+    lead.ProspectStage = stage;
+  }
+});
+
+test("LeadSquared 429s are retried", async () => {
+  hawke.mock.reset();
+  hawke.mock.failNext("/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter", 429, 2);
+  const result = await hawke.scan("&dryRun=true");
+
+  assert.equal(result.total_leads_scanned, 15);
+  assert.equal(result.timings.upstream_retries, 2);
+});
+
+test("a Retry-After beyond the cap fails the call instead of waiting", async () => {
+  const SEARCH_PATH = "/v2/LeadManagement.svc/Leads/Retrieve/BySearchParameter";
+  hawke.mock.reset();
+  hawke.mock.failNext(SEARCH_PATH, 429, 1, { "Retry-After": "0.01" });
+  assert.equal((await hawke.scan("&dryRun=true")).timings.upstream_retries, 1);
+
+  hawke.mock.reset();
+  hawke.mock.failNext(SEARCH_PATH, 429, 1, { "Retry-After": "3600" });
+  await assert.rejects(hawke.scan("&dryRun=true"), /Scan failed: 500/);
+  assert.equal(upstreamCalls(hawke.mock, SEARCH_PATH).length, 1);
+});